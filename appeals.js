@@ -0,0 +1,57 @@
+/* ============================================================
+   Shore Roleplay — Appeal Types
+   An appeal contests one record (its target): a ban, a
+   restriction, an application denial or a removed forum post.
+   Each type names who reviews it, how long after the action it
+   may be filed and what accepting it does. Loading targets and
+   applying outcomes needs the DB and lives in server.js.
+   ============================================================ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/// TYPE → RULES
+const APPEAL_TYPES = {
+  ban: {
+    label: "Ban",
+    reviewer: "internal_affairs",
+    windowMs: null, // while the ban is active
+    outcome: "Lifts the ban",
+  },
+  restriction: {
+    label: "Restriction",
+    reviewer: "staff",
+    windowMs: null, // while the restriction is active
+    outcome: "Revokes the restriction",
+  },
+  application: {
+    label: "Application decision",
+    reviewer: "department",
+    windowMs: 30 * DAY,
+    outcome: "Reopens the application for review",
+  },
+  content_removal: {
+    label: "Content removal",
+    reviewer: "staff",
+    windowMs: 30 * DAY,
+    outcome: "Restores the removed post",
+  },
+};
+
+/// REVIEWER GROUP → PERMISSION (department heads are checked per department)
+const REVIEWER_PERMISSIONS = {
+  internal_affairs: "appeals.bans",
+  staff: "appeals.decide",
+};
+
+/* Whether an appeal of `type` may still be filed for an action taken at `actedAt` */
+function withinAppealWindow(type, actedAt, now = new Date()) {
+  const { windowMs } = APPEAL_TYPES[type];
+  if (!windowMs || !actedAt) return true;
+  return now.getTime() - new Date(actedAt).getTime() <= windowMs;
+}
+
+module.exports = {
+  APPEAL_TYPES,
+  REVIEWER_PERMISSIONS,
+  withinAppealWindow,
+};
@@ -0,0 +1,144 @@
+const { t, checkShape } = require("./validation");
+
+/* ============================================================
+   Shore Roleplay — Department Application Forms
+   Each department owns versioned forms (applicationForms
+   collection). Versions are never edited — saving a form
+   creates the next version, so stored answers always point at
+   the exact questions they were written against.
+   ============================================================ */
+
+const FIELD_TYPES = ["text", "textarea", "number", "select", "multiselect", "checkbox", "date"];
+
+/// FORM EVERY DEPARTMENT STARTS WITH (the old single "reason" box)
+const DEFAULT_FORM_FIELDS = [
+  {
+    id: "reason",
+    label: "Why do you want to join this department?",
+    type: "textarea",
+    required: true,
+    minLength: 100,
+    maxLength: 5000,
+  },
+];
+
+/// SCHEMA FOR ONE FIELD DEFINITION (used by the form editor endpoint)
+const formFieldSchema = t.object({
+  id: t.string({
+    pattern: /^[a-z][a-z0-9_]{0,39}$/,
+    patternMessage: "lowercase letters, digits and _ (max 40)",
+  }),
+  label: t.string({ max: 300 }),
+  help: t.string({ max: 1000, optional: true }),
+  type: t.enum(FIELD_TYPES),
+  required: t.boolean({ default: false }),
+  minLength: t.integer({ min: 0, max: 20000, optional: true }),
+  maxLength: t.integer({ min: 1, max: 20000, optional: true }),
+  min: t.number({ optional: true }),
+  max: t.number({ optional: true }),
+  choices: t.array(t.string({ max: 200 }), { max: 50, optional: true }),
+});
+
+/* Cross-field checks the schema can't express. Returns a list of problems. */
+function checkFormDefinition(fields) {
+  const problems = [];
+  const seen = new Set();
+
+  fields.forEach((field, i) => {
+    const where = `fields[${i}]`;
+
+    if (seen.has(field.id)) problems.push(`${where}: duplicate id "${field.id}"`);
+    seen.add(field.id);
+
+    if (["select", "multiselect"].includes(field.type) && !field.choices?.length)
+      problems.push(`${where}: ${field.type} needs choices`);
+
+    if (field.minLength !== undefined && field.maxLength !== undefined && field.minLength > field.maxLength)
+      problems.push(`${where}: minLength is larger than maxLength`);
+
+    if (field.min !== undefined && field.max !== undefined && field.min > field.max)
+      problems.push(`${where}: min is larger than max`);
+  });
+
+  return problems;
+}
+
+/* Old free-text department questions → required textarea fields */
+function legacyQuestionsToFields(questions = []) {
+  return questions.map((label, i) => ({
+    id: `question_${i + 1}`,
+    label,
+    type: "textarea",
+    required: true,
+    maxLength: 5000,
+  }));
+}
+
+/* One form field → validation.js field schema */
+function fieldToSchema(field) {
+  const optional = !field.required;
+
+  switch (field.type) {
+    case "text":
+    case "textarea":
+      return t.string({
+        min: field.minLength,
+        max: field.maxLength ?? (field.type === "text" ? 500 : 10000),
+        optional,
+      });
+    case "number":
+      return t.number({ min: field.min, max: field.max, optional });
+    case "select":
+      return t.enum(field.choices, { optional });
+    case "multiselect":
+      return t.array(t.enum(field.choices), {
+        min: field.required ? 1 : undefined,
+        max: field.choices.length,
+        optional,
+      });
+    case "checkbox":
+      return t.boolean({ optional });
+    case "date":
+      return t.date({ optional });
+    default:
+      throw new Error(`Unknown form field type "${field.type}"`);
+  }
+}
+
+/**
+ * Validate applicant answers against a form's fields.
+ * Returns { value } (only known fields kept) or { errors } keyed "answers.<id>".
+ */
+function checkAnswers(fields, answers) {
+  const shape = Object.fromEntries(fields.map((f) => [f.id, fieldToSchema(f)]));
+  const result = checkShape(shape, answers, "answers.");
+  if (result.errors) return result;
+
+  // A required checkbox means "must be ticked" (e.g. rule agreements)
+  const errors = {};
+  for (const field of fields) {
+    if (field.type === "checkbox" && field.required && result.value[field.id] !== true) {
+      errors[`answers.${field.id}`] = { code: "required", message: "This box must be checked" };
+    }
+  }
+
+  return Object.keys(errors).length ? { errors } : result;
+}
+
+/* The written parts of a set of answers (text and chosen options), for the search index */
+function answersText(answers) {
+  return Object.values(answers || {})
+    .flatMap((value) => (Array.isArray(value) ? value : [value]))
+    .filter((value) => typeof value === "string" && value.trim())
+    .join("\n");
+}
+
+module.exports = {
+  FIELD_TYPES,
+  DEFAULT_FORM_FIELDS,
+  formFieldSchema,
+  checkFormDefinition,
+  legacyQuestionsToFields,
+  checkAnswers,
+  answersText,
+};
@@ -0,0 +1,115 @@
+/* ============================================================
+   Shore Roleplay — Application Pipeline
+   Every application moves through stages. Each department can
+   configure which transitions it allows; departments without a
+   pipeline use DEFAULT_TRANSITIONS. `status` stays "pending"
+   until a final stage (accepted / denied) is reached.
+   ============================================================ */
+
+const STAGES = [
+  "submitted",
+  "under_review",
+  "interview_scheduled",
+  "interview_passed",
+  "interview_failed",
+  "accepted",
+  "denied",
+];
+
+/// FINAL STAGES → APPLICATION STATUS
+const FINAL_STAGES = {
+  accepted: "accepted",
+  denied: "denied",
+};
+
+/// STAGE → STAGES IT MAY MOVE TO
+const DEFAULT_TRANSITIONS = {
+  // direct decisions stay possible for small departments
+  submitted: ["under_review", "accepted", "denied"],
+  under_review: ["interview_scheduled", "accepted", "denied"],
+  interview_scheduled: ["interview_passed", "interview_failed", "under_review"],
+  interview_passed: ["accepted", "denied"],
+  interview_failed: ["interview_scheduled", "denied"],
+};
+
+function isFinalStage(stage) {
+  return Object.prototype.hasOwnProperty.call(FINAL_STAGES, stage);
+}
+
+/* Status stored alongside the stage (pending until decided) */
+function statusForStage(stage) {
+  return FINAL_STAGES[stage] || "pending";
+}
+
+/* Stage of an application stored before pipelines existed */
+function stageOf(appDoc) {
+  if (appDoc.stage) return appDoc.stage;
+  return isFinalStage(appDoc.status) ? appDoc.status : "submitted";
+}
+
+function transitionsFor(dept) {
+  return dept?.pipeline || DEFAULT_TRANSITIONS;
+}
+
+function canTransition(transitions, from, to) {
+  return (transitions[from] || []).includes(to);
+}
+
+/*
+ * Problems with a department's transition map, or [] if usable.
+ * Final stages can't be left and every application must be able to
+ * reach a decision from "submitted".
+ */
+function checkPipeline(transitions) {
+  if (!transitions || typeof transitions !== "object" || Array.isArray(transitions))
+    return ["pipeline must be an object of stage → next stages"];
+
+  const problems = [];
+
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!STAGES.includes(from)) {
+      problems.push(`unknown stage "${from}"`);
+      continue;
+    }
+    if (isFinalStage(from)) problems.push(`"${from}" is final and can't have transitions`);
+    if (!Array.isArray(targets)) {
+      problems.push(`"${from}" must list its next stages`);
+      continue;
+    }
+    for (const to of targets) {
+      if (!STAGES.includes(to)) problems.push(`"${from}" → unknown stage "${to}"`);
+      else if (to === from) problems.push(`"${from}" can't transition to itself`);
+    }
+  }
+
+  if (problems.length) return problems;
+
+  // Walk from "submitted" — a decision has to be reachable
+  const seen = new Set(["submitted"]);
+  const queue = ["submitted"];
+  while (queue.length) {
+    for (const to of transitions[queue.shift()] || []) {
+      if (!seen.has(to)) {
+        seen.add(to);
+        queue.push(to);
+      }
+    }
+  }
+
+  if (!Object.keys(FINAL_STAGES).some((stage) => seen.has(stage)))
+    problems.push("no final stage is reachable from \"submitted\"");
+
+  return problems;
+}
+
+module.exports = {
+  STAGES,
+  FINAL_STAGES,
+  DEFAULT_TRANSITIONS,
+  isFinalStage,
+  statusForStage,
+  stageOf,
+  transitionsFor,
+  canTransition,
+  checkPipeline,
+};
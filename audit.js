@@ -0,0 +1,83 @@
+/* ============================================================
+   Shore Roleplay — Audit Log Helpers
+   Diffing, scrubbing and export formatting for auditLog entries
+   ============================================================ */
+
+/// FIELDS NEVER COPIED INTO THE AUDIT LOG
+const SENSITIVE_FIELDS = [
+  "_id",
+  "password",
+  "token",
+  "tokenHash",
+  "refreshTokenHash",
+  "twoFactor",
+];
+
+/* Shallow copy of a document without secrets */
+function scrub(doc) {
+  if (!doc) return null;
+  const copy = { ...doc };
+  for (const field of SENSITIVE_FIELDS) delete copy[field];
+  return copy;
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Field-level diff between two documents.
+ * Returns { field: { from, to } } for every top-level field that changed.
+ */
+function diffDocs(before, after) {
+  const a = scrub(before) || {};
+  const b = scrub(after) || {};
+  const changes = {};
+
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (!same(a[key], b[key])) {
+      changes[key] = { from: a[key] ?? null, to: b[key] ?? null };
+    }
+  }
+
+  return changes;
+}
+
+/// CSV EXPORT COLUMNS → VALUE GETTERS
+const CSV_COLUMNS = {
+  id: (e) => e.id,
+  createdAt: (e) => new Date(e.createdAt).toISOString(),
+  action: (e) => e.action,
+  actorId: (e) => e.actor?.id,
+  actorUsername: (e) => e.actor?.username,
+  actorRole: (e) => e.actor?.role,
+  targetType: (e) => e.target?.type,
+  targetId: (e) => e.target?.id,
+  reason: (e) => e.reason,
+  changes: (e) => JSON.stringify(e.changes || {}),
+  ip: (e) => e.ip,
+};
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Stop spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(entries) {
+  const header = Object.keys(CSV_COLUMNS).join(",");
+  const rows = entries.map((e) =>
+    Object.values(CSV_COLUMNS)
+      .map((get) => csvCell(get(e)))
+      .join(",")
+  );
+  return [header, ...rows].join("\r\n");
+}
+
+module.exports = {
+  scrub,
+  diffDocs,
+  toCSV,
+};
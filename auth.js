@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+
+/* ============================================================
+   Shore Roleplay — Session Tokens
+   Signed access tokens + opaque refresh tokens
+   ============================================================ */
+
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+  console.warn("⚠️ Missing SESSION_SECRET (using a random one, sessions reset on restart)");
+  SESSION_SECRET = crypto.randomBytes(48).toString("hex");
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function hmac(data) {
+  return crypto.createHmac("sha256", SESSION_SECRET).update(data).digest("base64url");
+}
+
+/**
+ * Sign a payload into "<payload>.<signature>"
+ * typ: token purpose ("access", ...) — checked again on verify
+ */
+function signToken(typ, claims, ttlMs) {
+  const now = Date.now();
+  const body = base64url(
+    JSON.stringify({ ...claims, typ, iat: now, exp: now + ttlMs })
+  );
+  return `${body}.${hmac(body)}`;
+}
+
+/**
+ * Returns the payload if the signature is valid, the token
+ * has not expired and it was issued for the given purpose.
+ * Otherwise null.
+ */
+function verifyToken(token, typ) {
+  if (typeof token !== "string") return null;
+
+  const [body, sig] = token.split(".");
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(hmac(body));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length) return null;
+  if (!crypto.timingSafeEqual(expected, given)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (payload.typ !== typ) return null;
+  if (!payload.exp || payload.exp < Date.now()) return null;
+
+  return payload;
+}
+
+function issueAccessToken(userId, sessionId) {
+  return signToken("access", { sub: userId, sid: sessionId }, ACCESS_TOKEN_TTL_MS);
+}
+
+/* Random token handed to the client — only its hash is stored */
+function generateOpaqueToken() {
+  return crypto.randomBytes(48).toString("hex");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/* Reads "Authorization: Bearer <token>" */
+function getBearerToken(req) {
+  const header = req.headers.authorization;
+  if (typeof header !== "string") return null;
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  signToken,
+  verifyToken,
+  issueAccessToken,
+  generateOpaqueToken,
+  hashToken,
+  getBearerToken,
+};
@@ -0,0 +1,54 @@
+/* ============================================================
+   Shore Roleplay — Ban Records
+   Every ban is its own document in the `bans` collection and is
+   never overwritten — lifting or expiring only stamps it. The
+   user document carries a denormalized copy of the effective ban
+   (banned / banReason / banDate / banExpiresAt / banScope).
+   ============================================================ */
+
+/// WHAT A BAN COVERS
+const BAN_SCOPES = [
+  "global", // website + game server
+  "website",
+  "game",
+];
+
+function isBanActive(ban, now = new Date()) {
+  if (!ban || ban.liftedAt) return false;
+  return !ban.expiresAt || new Date(ban.expiresAt) > now;
+}
+
+/*
+ * The ban that defines a user's state: global bans win over scoped
+ * ones, then the one that lasts longest (permanent beats timed).
+ */
+function effectiveBan(bans, now = new Date()) {
+  const active = bans.filter((ban) => isBanActive(ban, now));
+  if (!active.length) return null;
+
+  const ends = (ban) => (ban.expiresAt ? new Date(ban.expiresAt).getTime() : Infinity);
+
+  return active.sort(
+    (a, b) =>
+      (b.scope === "global") - (a.scope === "global") || ends(b) - ends(a)
+  )[0];
+}
+
+/* Fields copied onto the user document */
+function banStateFields(ban) {
+  return {
+    banned: !!ban,
+    banReason: ban?.reason || null,
+    banDate: ban ? new Date(ban.createdAt).toISOString() : null,
+    banExpiresAt: ban?.expiresAt || null,
+    banScope: ban?.scope || null,
+    activeBanId: ban?.id || null,
+  };
+}
+
+module.exports = {
+  BAN_SCOPES,
+  isBanActive,
+  effectiveBan,
+  banStateFields,
+};
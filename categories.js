@@ -0,0 +1,113 @@
+/* ============================================================
+   Shore Roleplay — Forum Categories
+   Categories live in the `categories` collection. Each one has
+   read / post / reply rules; a rule lets a viewer in when ANY
+   of its entries matches:
+
+   { everyone: true }        anyone, logged in or not
+   { members: true }         any logged-in account
+   { staff: true }           every staff role
+   { anyDepartment: true }   accepted into at least one department
+   { roles: [...] }          one of these roles
+   { departments: [...] }    accepted into one of these departments
+   ============================================================ */
+
+/// THE RULE EVERY CATEGORY USED BEFORE CATEGORIES EXISTED
+const DEFAULT_PERMISSIONS = {
+  read: { everyone: true },
+  post: { staff: true, anyDepartment: true },
+  reply: { staff: true, anyDepartment: true },
+};
+
+/// SEED DATA
+const DEFAULT_CATEGORIES = [
+  {
+    slug: "announcements",
+    name: "Announcements",
+    description: "News and updates from the Shore Roleplay team.",
+    order: 0,
+    permissions: { ...DEFAULT_PERMISSIONS, post: { staff: true } },
+  },
+  {
+    slug: "general",
+    name: "General",
+    description: "Anything Shore Roleplay.",
+    order: 1,
+    permissions: DEFAULT_PERMISSIONS,
+  },
+];
+
+const PERMISSION_ACTIONS = Object.keys(DEFAULT_PERMISSIONS);
+
+/*
+ * A free-text category from an old thread → a valid slug
+ * ("Off Topic" → "off-topic"), or null if nothing usable is left.
+ */
+function slugify(raw) {
+  const slug = String(raw || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50)
+    .replace(/-+$/, "");
+  return slug.length >= 2 ? slug : null;
+}
+
+/* "pd-internal" → "Pd Internal" — names for categories found on old threads */
+function nameFromSlug(slug) {
+  return slug
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+/*
+ * Whether `viewer` passes `rule`.
+ * viewer: { user, staff, departments: [code] } — user is null when logged out
+ */
+function ruleAllows(rule, viewer) {
+  if (!rule) return false;
+  if (rule.everyone) return true;
+  if (!viewer.user) return false;
+
+  return !!(
+    rule.members ||
+    (rule.staff && viewer.staff) ||
+    (rule.anyDepartment && viewer.departments.length > 0) ||
+    (rule.roles || []).includes(viewer.user.role) ||
+    (rule.departments || []).some((code) => viewer.departments.includes(code))
+  );
+}
+
+/* Problems with a category's permissions, or [] if usable */
+function checkCategoryPermissions(permissions, knownDepartments) {
+  const problems = [];
+
+  for (const action of PERMISSION_ACTIONS) {
+    for (const code of permissions[action]?.departments || []) {
+      if (!knownDepartments.includes(code))
+        problems.push(`permissions.${action}: unknown department "${code}"`);
+    }
+  }
+
+  // posting or replying where you can't read makes no sense
+  if (permissions.read && !permissions.read.everyone) {
+    for (const action of ["post", "reply"]) {
+      if (permissions[action]?.everyone)
+        problems.push(`permissions.${action}: can't be open to everyone when reading isn't`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  DEFAULT_PERMISSIONS,
+  DEFAULT_CATEGORIES,
+  PERMISSION_ACTIONS,
+  slugify,
+  nameFromSlug,
+  ruleAllows,
+  checkCategoryPermissions,
+};
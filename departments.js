@@ -0,0 +1,88 @@
+/* ============================================================
+   Shore Roleplay — Department Registry Helpers
+   Departments live in the `departments` collection; this module
+   holds the seed data and the name/alias → code resolution.
+   ============================================================ */
+
+/// SEED DATA (matches the old hard-coded VALID_DEPARTMENTS map)
+const DEFAULT_DEPARTMENTS = [
+  { code: "pd", name: "Police Department", aliases: ["PD", "Police"] },
+  { code: "sd", name: "Sheriff's Office", aliases: ["Sheriff", "SO"] },
+  { code: "sp", name: "State Patrol", aliases: ["State Police", "SP"] },
+  { code: "fire", name: "Fire & Rescue", aliases: ["Fire Department", "FIRE"] },
+  { code: "ems", name: "EMS", aliases: [] },
+  {
+    code: "civ",
+    name: "Civilian Operations",
+    aliases: ["Civilian Media", "CIV", "Civilian"],
+  },
+];
+
+/* Case/whitespace-insensitive lookup key */
+function lookupKey(raw) {
+  if (raw === null || raw === undefined) return "";
+  return String(raw).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/* Every string a department can be referred to by */
+function namesOf(dept) {
+  return [dept.code, dept.name, ...(dept.aliases || [])];
+}
+
+/* lookup key → department document */
+function buildDepartmentIndex(departments) {
+  const index = new Map();
+  for (const dept of departments) {
+    for (const name of namesOf(dept)) {
+      const key = lookupKey(name);
+      if (key && !index.has(key)) index.set(key, dept);
+    }
+  }
+  return index;
+}
+
+/* Department for a code / display name / alias, or null if unknown */
+function resolveDepartment(index, raw) {
+  return index.get(lookupKey(raw)) || null;
+}
+
+/*
+ * Names of `dept` that already belong to a different department.
+ * Used to keep codes, names and aliases unambiguous.
+ */
+function findNameConflicts(index, dept) {
+  return namesOf(dept).filter((name) => {
+    const owner = index.get(lookupKey(name));
+    return owner && owner.code !== dept.code;
+  });
+}
+
+/*
+ * Fill an empty `departments` collection with DEFAULT_DEPARTMENTS.
+ * Shared by server start-up and scripts/migrate-departments.js.
+ * Returns how many departments were inserted (0 if it had any).
+ */
+async function seedDepartments(collection) {
+  if ((await collection.countDocuments()) > 0) return 0;
+
+  const now = new Date();
+  await collection.insertMany(
+    DEFAULT_DEPARTMENTS.map((d) => ({
+      ...d,
+      open: true,
+      heads: [],
+      createdAt: now,
+      updatedAt: now,
+    }))
+  );
+  return DEFAULT_DEPARTMENTS.length;
+}
+
+module.exports = {
+  DEFAULT_DEPARTMENTS,
+  lookupKey,
+  buildDepartmentIndex,
+  resolveDepartment,
+  findNameConflicts,
+  seedDepartments,
+};
@@ -1,8 +1,19 @@
 /* ============================================================
    Shore Roleplay — Official Email Communication System
    Classification: INTERNAL • DO NOT DISTRIBUTE
+
+   Every message is a list of blocks rendered twice — once as
+   HTML inside wrap(), once as plain text. Copy lives in
+   locales/<locale>.json; {{var}} placeholders are always
+   escaped and **text** marks bold.
+
+   renderEmail("accepted", { username, department, reason }, "es")
+     → { subject, html, text, locale }
    ============================================================ */
 
+const fs = require("fs");
+const path = require("path");
+
 const BRAND = {
   name: "Shore Roleplay",
   logo: "https://i.imgur.com/P15LI6g.png", // SERVER LOGO
@@ -15,10 +26,196 @@ const BRAND = {
   website: "https://shoreroleplay.xyz",
 };
 
+const DEFAULT_LOCALE = "en";
+
+/// LOCALE CODE → TRANSLATIONS (every locales/*.json file)
+const LOCALES = Object.fromEntries(
+  fs
+    .readdirSync(path.join(__dirname, "locales"))
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => [
+      path.basename(file, ".json"),
+      JSON.parse(fs.readFileSync(path.join(__dirname, "locales", file), "utf8")),
+    ])
+);
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+/* First supported locale among the candidates ("es-MX" falls back to "es") */
+function pickLocale(...candidates) {
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string") continue;
+    const code = candidate.trim().toLowerCase();
+    if (LOCALES[code]) return code;
+    const base = code.split(/[-_]/)[0];
+    if (LOCALES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/* Accept-Language header → candidate list, best first */
+function parseAcceptLanguage(header) {
+  if (typeof header !== "string") return [];
+  return header
+    .split(",")
+    .map((part) => {
+      const [tag, q] = part.trim().split(";q=");
+      return { tag, q: q === undefined ? 1 : Number(q) || 0 };
+    })
+    .filter((l) => l.tag && l.tag !== "*")
+    .sort((a, b) => b.q - a.q)
+    .map((l) => l.tag);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/* Translated string for a dotted key, falling back to the default locale */
+function lookup(locale, key) {
+  const find = (dict) => key.split(".").reduce((node, part) => node?.[part], dict);
+  const value = find(LOCALES[locale]) ?? find(LOCALES[DEFAULT_LOCALE]);
+  if (typeof value !== "string") throw new Error(`Missing email string "${key}"`);
+  return value;
+}
+
+/* Dates are written out in the reader's language (UTC) */
+function formatValue(value, locale) {
+  if (!(value instanceof Date)) return value;
+  return `${value.toLocaleString(locale, { dateStyle: "long", timeStyle: "short", timeZone: "UTC" })} UTC`;
+}
+
+function interpolate(template, vars, escape, locale) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (_, name) =>
+    escape(formatValue(vars[name], locale) ?? "")
+  );
+}
+
+/*
+ * One string in both formats. **bold** is applied to the translation
+ * before variables go in, so user input can't add markup.
+ */
+function localize(locale, key, vars) {
+  const template = lookup(locale, key);
+  const bold = /\*\*(.+?)\*\*/g;
+  return {
+    html: interpolate(escapeHtml(template).replace(bold, "<strong>$1</strong>"), vars, escapeHtml, locale),
+    text: interpolate(template.replace(bold, "$1"), vars, String, locale),
+  };
+}
+
+/* ============================================================
+   TEMPLATES
+   blocks(vars) → [{ type, key | value, url }]
+     heading · paragraph · button · note · quote (labelled free text)
+============================================================ */
+const TEMPLATES = {
+  verify: {
+    accent: BRAND.color,
+    sample: { username: "Jordan", token: "sample-verification-token" },
+    blocks: (v) => [
+      { type: "heading", key: "verify.heading" },
+      { type: "paragraph", key: "verify.intro" },
+      { type: "paragraph", key: "verify.inactive" },
+      { type: "paragraph", key: "verify.instruction" },
+      {
+        type: "button",
+        key: "verify.button",
+        url: `${BRAND.website}/verify.html?token=${encodeURIComponent(v.token)}`,
+      },
+      { type: "note", key: "verify.ignore" },
+    ],
+  },
+
+  accepted: {
+    accent: BRAND.success,
+    sample: { username: "Jordan", department: "Police Department", reason: "Great interview." },
+    blocks: (v) => [
+      { type: "heading", key: "accepted.heading" },
+      { type: "paragraph", key: "accepted.result" },
+      { type: "paragraph", key: "accepted.next" },
+      v.reason && { type: "quote", key: "common.reasonLabel", value: v.reason },
+      { type: "button", key: "accepted.button", url: BRAND.discord },
+    ],
+  },
+
+  denied: {
+    accent: BRAND.denied,
+    sample: { username: "Jordan", department: "Police Department", reason: "Answers were too short." },
+    blocks: (v) => [
+      { type: "heading", key: "denied.heading" },
+      { type: "paragraph", key: "denied.result" },
+      { type: "paragraph", key: "denied.next" },
+      v.reason && { type: "quote", key: "common.reasonLabel", value: v.reason },
+      { type: "button", key: "denied.button", url: `${BRAND.website}/public/apply.html` },
+    ],
+  },
+
+  appealDecided: {
+    accent: (v) => (v.decision === "accepted" ? BRAND.success : BRAND.denied),
+    sample: { username: "Jordan", type: "ban", decision: "accepted", reason: "Ban lifted after review." },
+    blocks: (v) => [
+      { type: "heading", key: "appealDecided.heading" },
+      // one line per appeal type; appeals without one are ban appeals
+      { type: "paragraph", key: `appealDecided.${v.decision}.${v.type || "ban"}` },
+      v.reason && { type: "quote", key: "common.reasonLabel", value: v.reason },
+      { type: "button", key: "appealDecided.button", url: BRAND.website },
+    ],
+  },
+
+  ban: {
+    accent: BRAND.denied,
+    sample: { username: "Jordan", reason: "Repeated rule violations.", expiresAt: null },
+    blocks: (v) => [
+      { type: "heading", key: "ban.heading" },
+      { type: "paragraph", key: "ban.notice" },
+      v.reason && { type: "quote", key: "common.banReasonLabel", value: v.reason },
+      { type: "paragraph", key: v.expiresAt ? "ban.expires" : "ban.permanent" },
+      { type: "paragraph", key: "ban.appeal" },
+      { type: "button", key: "ban.button", url: `${BRAND.website}/appeal.html` },
+    ],
+  },
+
+  unban: {
+    accent: BRAND.success,
+    sample: { username: "Jordan", expired: false, reason: "Appeal accepted." },
+    blocks: (v) => [
+      { type: "heading", key: "unban.heading" },
+      { type: "paragraph", key: v.expired ? "unban.expired" : "unban.lifted" },
+      v.reason && { type: "quote", key: "common.reasonLabel", value: v.reason },
+      { type: "paragraph", key: "unban.next" },
+      { type: "button", key: "unban.button", url: BRAND.website },
+    ],
+  },
+
+  passwordReset: {
+    accent: BRAND.color,
+    sample: { username: "Jordan", token: "sample-reset-token" },
+    blocks: (v) => [
+      { type: "heading", key: "passwordReset.heading" },
+      { type: "paragraph", key: "passwordReset.intro" },
+      { type: "paragraph", key: "passwordReset.instruction" },
+      {
+        type: "button",
+        key: "passwordReset.button",
+        url: `${BRAND.website}/reset-password.html?token=${encodeURIComponent(v.token)}`,
+      },
+      { type: "note", key: "passwordReset.ignore" },
+    ],
+  },
+};
+
 /* ============================================================
    UNIVERSAL TEMPLATE WRAPPER
 ============================================================ */
-function wrap(body, accent = BRAND.color, header = "Notification") {
+function wrap(body, accent, header, locale) {
+  const t = (key) => localize(locale, key, { brand: BRAND.name }).html;
+
   return `
   <div style="background:${BRAND.bg};padding:45px 0;font-family:'Segoe UI',sans-serif;">
     <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
@@ -31,7 +228,7 @@ function wrap(body, accent = BRAND.color, header = "Notification") {
           <!-- LOGO -->
           <tr>
             <td style="background:#0d1119;text-align:center;padding:28px 0;">
-              <img src="${BRAND.logo}" alt="${BRAND.name} Logo"
+              <img src="${BRAND.logo}" alt="${t("common.logoAlt")}"
                 style="display:block;margin:auto;width:165px;max-width:85%;
                 filter:drop-shadow(0 0 12px rgba(78,163,255,.55));">
             </td>
@@ -41,7 +238,7 @@ function wrap(body, accent = BRAND.color, header = "Notification") {
           <tr>
             <td style="background:${accent};padding:32px;color:white;
               font-size:27px;font-weight:700;text-align:center;letter-spacing:.6px;">
-              ${BRAND.name} — ${header}
+              ${escapeHtml(BRAND.name)} — ${header}
             </td>
           </tr>
 
@@ -55,8 +252,8 @@ function wrap(body, accent = BRAND.color, header = "Notification") {
           <!-- FOOTER -->
           <tr>
             <td style="padding:24px;text-align:center;font-size:12px;color:#7e8897;background:#0b0f16;">
-              This correspondence was generated by the ${BRAND.name} Automated System.<br>
-              <span style="opacity:.6">Do not reply to this email. For support, use our Discord ticket system.</span>
+              ${t("common.footer")}<br>
+              <span style="opacity:.6">${t("common.footerNote")}</span>
             </td>
           </tr>
 
@@ -67,81 +264,85 @@ function wrap(body, accent = BRAND.color, header = "Notification") {
   </div>`;
 }
 
-/* ============================================================
-   EMAIL — ACCOUNT VERIFICATION (NEW)
-============================================================ */
-function verifyEmail({ username, token }) {
-  return wrap(`
-    <h2 style="margin-top:0;color:${BRAND.color};font-size:24px;">
-      Verify Your Account — ${username}
-    </h2>
-
-    <p>Thank you for registering with <strong>${BRAND.name}</strong>.</p>
-
-    <p>Your account is <strong>not active</strong> yet. To complete your registration and gain access, you must verify your email.</p>
-
-    <p style="margin-top:12px;">Click the secure button below to finalize your account creation:</p>
-
+function blockHtml(block, accent, s) {
+  switch (block.type) {
+    case "heading":
+      return `<h2 style="margin-top:0;color:${accent};font-size:24px;">${s.html}</h2>`;
+    case "paragraph":
+      return `<p>${s.html}</p>`;
+    case "note":
+      return `<p style="margin-top:22px;font-size:14px;opacity:.85;">${s.html}</p>`;
+    case "button":
+      return `
     <div style="margin-top:32px;text-align:center;">
-      <a href="${BRAND.website}/verify.html?token=${token}"
-         style="display:inline-block;padding:16px 42px;background:${BRAND.color};
-         color:white;border-radius:8px;text-decoration:none;font-weight:700;font-size:16px;">
-         ✔ Verify My Account
+      <a href="${escapeHtml(block.url)}"
+         style="display:inline-block;padding:14px 32px;background:${accent};
+         color:white;border-radius:8px;text-decoration:none;font-weight:600;font-size:15px;">
+         ${s.html}
       </a>
-    </div>
-
-    <p style="margin-top:22px;font-size:14px;opacity:.85;">
-      If you did not create an account with us, no action is required.
-    </p>
-  `, BRAND.color, "Email Verification");
+    </div>`;
+    case "quote":
+      return `
+    <div style="margin-top:22px;padding:16px 20px;border-left:4px solid ${accent};
+      background:rgba(255,255,255,.04);border-radius:6px;">
+      <div style="font-size:13px;text-transform:uppercase;letter-spacing:.5px;opacity:.7;">${s.html}</div>
+      <div style="margin-top:6px;white-space:pre-line;">${escapeHtml(block.value)}</div>
+    </div>`;
+    default:
+      throw new Error(`Unknown email block "${block.type}"`);
+  }
 }
 
-/* ============================================================
-   EMAIL — APPLICATION APPROVED
-============================================================ */
-function acceptedEmail({ username }) {
-  return wrap(`
-    <h2 style="margin-top:0;color:${BRAND.success};font-size:24px;">Application Approved — ${username}</h2>
-
-    <p>Your application for membership within <strong>${BRAND.name}</strong> has undergone full review and has been
-    <strong style="color:${BRAND.success}">APPROVED</strong>.</p>
-
-    <p>You are now authorized to participate in official community operations. You are expected to comply with all directives and remain within the Discord server.</p>
-
-    <div style="margin-top:35px;text-align:center;">
-      <a href="${BRAND.discord}"
-         style="display:inline-block;padding:14px 32px;background:${BRAND.success};
-         color:white;border-radius:8px;text-decoration:none;font-weight:600;font-size:15px;">
-         Proceed to Operational Channels
-      </a>
-    </div>
-  `, BRAND.success, "Application Result");
+function blockText(block, s) {
+  switch (block.type) {
+    case "heading":
+      return `${s.text}\n${"=".repeat(s.text.length)}`;
+    case "button":
+      return `${s.text}: ${block.url}`;
+    case "quote":
+      return `${s.text}:\n${block.value}`;
+    default:
+      return s.text;
+  }
 }
 
-/* ============================================================
-   EMAIL — APPLICATION DENIED
-============================================================ */
-function deniedEmail({ username }) {
-  return wrap(`
-    <h2 style="margin-top:0;color:${BRAND.denied};font-size:24px;">Application Status — ${username}</h2>
+/**
+ * Render a template in one locale.
+ * Unknown locales fall back to English; missing strings too.
+ */
+function renderEmail(name, vars = {}, locale = DEFAULT_LOCALE) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
 
-    <p>Your application to join <strong>${BRAND.name}</strong> has been
-    <strong style="color:${BRAND.denied}">DENIED</strong>.</p>
+  locale = pickLocale(locale);
+  const data = { brand: BRAND.name, ...vars };
+  const accent = typeof template.accent === "function" ? template.accent(data) : template.accent;
+  const blocks = template.blocks(data).filter(Boolean);
 
-    <p>You remain in the Discord server but are not authorized for whitelisted activity.</p>
+  const parts = blocks.map((block) => ({ block, s: localize(locale, block.key, data) }));
+  const header = localize(locale, `${name}.header`, data);
+  const footer = ["common.footer", "common.footerNote"].map((key) => localize(locale, key, data).text);
 
-    <div style="margin-top:35px;text-align:center;">
-      <a href="${BRAND.website}/public/apply.html"
-         style="display:inline-block;padding:14px 32px;background:${BRAND.denied};
-         color:white;border-radius:8px;text-decoration:none;font-weight:600;font-size:15px;">
-         Submit Revised Application
-      </a>
-    </div>
-  `, BRAND.denied, "Application Result");
+  return {
+    locale,
+    subject: localize(locale, `${name}.subject`, data).text,
+    html: wrap(
+      parts.map(({ block, s }) => blockHtml(block, accent, s)).join("\n"),
+      accent,
+      header.html,
+      locale
+    ),
+    text: [...parts.map(({ block, s }) => blockText(block, s)), "--", ...footer].join("\n\n"),
+  };
 }
 
 module.exports = {
-  verifyEmail,
-  acceptedEmail,
-  deniedEmail
+  BRAND,
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  TEMPLATES,
+  pickLocale,
+  parseAcceptLanguage,
+  escapeHtml,
+  renderEmail,
 };
@@ -1,45 +1,319 @@
-const brevo = require("@getbrevo/brevo");
-const { acceptedEmail, deniedEmail } = require("./emailTemplates");
+/* ============================================================
+   Shore Roleplay — Outbound Email
+   Transports (Brevo / SMTP / console+file) and the emailQueue
+   worker. Routes never talk to a provider directly: they enqueue
+   a message and the worker delivers it with retries.
+
+   EMAIL_TRANSPORT = brevo | smtp | console | file
+     (default: brevo when BREVO_API_KEY is set, otherwise console)
+   EMAIL_FILE_DIR  = where the file transport writes
+     (default: shoreroleplay-mail in the OS temp directory)
+   ============================================================ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const Brevo = require("@getbrevo/brevo");
+const nodemailer = require("nodemailer");
 
 // Load from ENV so you can change later if needed
 const FROM_EMAIL = process.env.FROM_EMAIL || "noreply@shoreroleplay.xyz";
 const FROM_NAME = process.env.FROM_NAME || "Shore Roleplay";
 
-// Create Brevo Transactional client
-const client = new brevo.TransactionalEmailsApi();
-client.setApiKey(
-  brevo.TransactionalEmailsApiApiKeys.apiKey,
-  process.env.BREVO_API_KEY
-);
-
-/**
- * Send acceptance or denial email
- * status: "accepted" | "denied"
- * data: { email, username }
- */
-async function sendApplicationEmail(status, data) {
-  const { email, username } = data;
+/// RETRY POLICY
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m…
+const BACKOFF_MAX_MS = 60 * 60 * 1000; // capped at 1 hour
+const SEND_LOCK_MS = 5 * 60 * 1000; // a claimed message is retried after this
+const POLL_INTERVAL_MS = 5 * 1000;
+
+/* ===========================
+   TRANSPORTS
+   Each one is { name, send(message) → { messageId } } and throws on failure
+   =========================== */
+
+function createBrevoTransport({ apiKey }) {
+  const client = Brevo.ApiClient.instance;
+  client.authentications["api-key"].apiKey = apiKey;
+  client.basePath = "https://api.brevo.com/v3";
+  const api = new Brevo.TransactionalEmailsApi();
+
+  return {
+    name: "brevo",
+    async send({ to, name, subject, html, text }) {
+      const email = new Brevo.SendSmtpEmail();
+      email.sender = { name: FROM_NAME, email: FROM_EMAIL };
+      email.to = [{ email: to, name }];
+      email.subject = subject;
+      email.htmlContent = html;
+      if (text) email.textContent = text;
+
+      const result = await api.sendTransacEmail(email);
+      return { messageId: result?.messageId || null };
+    },
+  };
+}
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send({ to, name, subject, html, text }) {
+      const info = await transporter.sendMail({
+        from: { name: FROM_NAME, address: FROM_EMAIL },
+        to: name ? { name, address: to } : to,
+        subject,
+        html,
+        text,
+      });
+      return { messageId: info.messageId || null };
+    },
+  };
+}
+
+/* Dev / tests — logs every message, and writes it to `dir` when given */
+function createConsoleTransport({ dir } = {}) {
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    name: dir ? "file" : "console",
+    async send(message) {
+      const messageId = `dev-${crypto.randomUUID()}`;
+      console.log(`📧 [DEV MODE] ${message.subject} → ${message.to}`);
+
+      if (dir) {
+        const file = path.join(dir, `${Date.now()}-${messageId}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ messageId, ...message }, null, 2));
+      }
+      return { messageId };
+    },
+  };
+}
 
-  const html = status === "accepted"
-    ? acceptedEmail({ username })
-    : deniedEmail({ username });
+function createTransportFromEnv(env = process.env) {
+  const kind = env.EMAIL_TRANSPORT || (env.BREVO_API_KEY ? "brevo" : "console");
 
-  const subject = status === "accepted"
-    ? "Your Shore Roleplay Application Has Been Approved"
-    : "Your Shore Roleplay Application Status";
+  switch (kind) {
+    case "brevo":
+      if (!env.BREVO_API_KEY) throw new Error("EMAIL_TRANSPORT=brevo needs BREVO_API_KEY");
+      return createBrevoTransport({ apiKey: env.BREVO_API_KEY });
+    case "smtp":
+      if (!env.SMTP_HOST) throw new Error("EMAIL_TRANSPORT=smtp needs SMTP_HOST");
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    case "file":
+      return createConsoleTransport({
+        dir: env.EMAIL_FILE_DIR || path.join(os.tmpdir(), "shoreroleplay-mail"),
+      });
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${kind}"`);
+  }
+}
+
+/* ===========================
+   QUEUE
+   =========================== */
+
+/* Delay before attempt number `attempts + 1` */
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+}
 
-  try {
-    await client.sendTransacEmail({
-      sender: { name: FROM_NAME, email: FROM_EMAIL },
-      to: [{ email }],
+/*
+ * Messages live in the emailQueue collection:
+ *   queued → sending → sent
+ *                    ↘ retrying → … → dead (after MAX_ATTEMPTS)
+ * getCollection is called lazily because the DB connects after this
+ * module loads. onSettled(message) runs once a message is sent or dead.
+ * Bodies can hold one-time links, so a sent message keeps only its
+ * envelope; a dead one keeps its body (for retry) and gets a deadAt
+ * for the collection's expiry index.
+ */
+class EmailQueue {
+  constructor({ getCollection, transport, onSettled = null, maxAttempts = MAX_ATTEMPTS }) {
+    this.getCollection = getCollection;
+    this.transport = transport;
+    this.onSettled = onSettled;
+    this.maxAttempts = maxAttempts;
+    this.timer = null;
+    this.running = false;
+  }
+
+  async enqueue({ to, name = null, subject, html, text = null, kind = "generic", meta = null }) {
+    const now = new Date();
+    const message = {
+      id: crypto.randomUUID(),
+      kind,
+      to,
+      name,
       subject,
-      htmlContent: html
-    });
+      html,
+      text,
+      meta,
+      status: "queued",
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: now,
+      lockedUntil: null,
+      lastError: null,
+      transport: null,
+      providerMessageId: null,
+      createdAt: now,
+      sentAt: null,
+      deadAt: null,
+    };
+
+    await this.getCollection().insertOne(message);
+    // Try right away instead of waiting for the next poll
+    setImmediate(() => this.drain());
+    return message;
+  }
+
+  /* Claim the next due message (or one whose sender died) */
+  async claim() {
+    const now = new Date();
+    return this.getCollection().findOneAndUpdate(
+      {
+        $or: [
+          { status: { $in: ["queued", "retrying"] }, nextAttemptAt: { $lte: now } },
+          { status: "sending", lockedUntil: { $lt: now } },
+        ],
+      },
+      {
+        $set: { status: "sending", lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+  }
+
+  async deliver(message) {
+    const queue = this.getCollection();
+    let settled;
+
+    try {
+      const { messageId } = await this.transport.send(message);
+      settled = await queue.findOneAndUpdate(
+        { id: message.id },
+        {
+          $set: {
+            status: "sent",
+            sentAt: new Date(),
+            html: null,
+            text: null,
+            lockedUntil: null,
+            lastError: null,
+            transport: this.transport.name,
+            providerMessageId: messageId,
+          },
+        },
+        { returnDocument: "after" }
+      );
+      console.log(`📧 Email sent → ${message.to} (${message.kind})`);
+    } catch (err) {
+      const lastError = String(err.response?.body?.message || err.message || err).slice(0, 500);
+      const dead = message.attempts >= message.maxAttempts;
+
+      console.error(
+        dead ? "❌ EMAIL DEAD-LETTERED:" : "⚠️ Email send failed, will retry:",
+        message.id,
+        lastError
+      );
+
+      settled = await queue.findOneAndUpdate(
+        { id: message.id },
+        {
+          $set: {
+            status: dead ? "dead" : "retrying",
+            deadAt: dead ? new Date() : null,
+            lockedUntil: null,
+            lastError,
+            transport: this.transport.name,
+            nextAttemptAt: dead ? null : new Date(Date.now() + backoffDelay(message.attempts)),
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!dead) return;
+    }
+
+    if (this.onSettled && settled) {
+      try {
+        await this.onSettled(settled);
+      } catch (err) {
+        console.error("❌ EMAIL SETTLE HOOK ERROR:", err);
+      }
+    }
+  }
+
+  /* Send everything that's due. Only one drain runs at a time per process. */
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      let message;
+      while ((message = await this.claim())) {
+        await this.deliver(message);
+      }
+    } catch (err) {
+      console.error("❌ EMAIL QUEUE ERROR:", err);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  start(intervalMs = POLL_INTERVAL_MS) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.drain(), intervalMs);
+    this.timer.unref();
+    this.drain();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
 
-    console.log(`📧 Brevo email sent successfully → ${email}`);
-  } catch (err) {
-    console.error("❌ Brevo email error:", err.message);
+  /* Put a dead (or stuck) message back in line */
+  async retry(id) {
+    return this.getCollection().findOneAndUpdate(
+      { id, status: { $in: ["dead", "retrying"] } },
+      [
+        {
+          $set: {
+            status: "queued",
+            deadAt: null,
+            nextAttemptAt: new Date(),
+            // a fresh round of attempts
+            maxAttempts: { $add: ["$attempts", this.maxAttempts] },
+          },
+        },
+      ],
+      { returnDocument: "after" }
+    );
   }
 }
 
-module.exports = { sendApplicationEmail };
+module.exports = {
+  MAX_ATTEMPTS,
+  backoffDelay,
+  createBrevoTransport,
+  createSmtpTransport,
+  createConsoleTransport,
+  createTransportFromEnv,
+  EmailQueue,
+};
@@ -0,0 +1,53 @@
+/* ============================================================
+   Shore Roleplay — Notifications
+   Forum activity that concerns a member lands in their inbox
+   (the `notifications` collection): being @mentioned in a thread
+   or reply, and having a reply quoted. Mentions are resolved
+   against Users when the post is made; names that don't match an
+   account are left as plain text.
+   ============================================================ */
+
+/// NOTIFICATION TYPE → WHAT HAPPENED
+const NOTIFICATION_TYPES = {
+  mention: "Mentioned you",
+  quote: "Quoted your reply",
+};
+
+// More @names than this in one post only notify the first ones
+const MAX_MENTIONS = 10;
+
+// Quotes keep this much of the quoted reply
+const QUOTE_EXCERPT_LENGTH = 500;
+
+/* Lowercased @names in `text`, in order, without repeats (emails aren't mentions) */
+function extractMentions(text) {
+  const names = [];
+  const pattern = /(^|[^\p{L}\p{N}_.@])@([\p{L}\p{N}_.-]{3,32})/gu;
+
+  for (const [, , raw] of String(text || "").matchAll(pattern)) {
+    // "@john." at the end of a sentence means john
+    const name = raw.replace(/[.-]+$/, "").toLowerCase();
+    if (name.length >= 3 && !names.includes(name)) names.push(name);
+    if (names.length === MAX_MENTIONS) break;
+  }
+
+  return names;
+}
+
+/* The start of a quoted reply, cut on a word boundary */
+function quoteExcerpt(body, length = QUOTE_EXCERPT_LENGTH) {
+  const text = String(body || "").trim();
+  if (text.length <= length) return text;
+
+  const cut = text.slice(0, length);
+  const space = cut.lastIndexOf(" ");
+  return (space > length / 2 ? cut.slice(0, space) : cut) + "…";
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  MAX_MENTIONS,
+  QUOTE_EXCERPT_LENGTH,
+  extractMentions,
+  quoteExcerpt,
+};
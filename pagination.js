@@ -0,0 +1,84 @@
+/* ============================================================
+   Shore Roleplay — Cursor Pagination
+   List endpoints page with an opaque cursor instead of skip, so
+   pages stay stable while new documents arrive. Results are
+   ordered by one whitelisted field with `id` as the tie-breaker;
+   the cursor holds both values of the last item returned.
+
+   GET /users?limit=25&sort=createdAt&order=desc&cursor=<nextCursor>
+     → { items, total, limit, nextCursor }   (nextCursor null on the last page)
+   ============================================================ */
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/* Base64url JSON of the last item's sort value + id (Dates survive the round trip) */
+function encodeCursor(doc, field) {
+  const value = doc[field];
+  const payload = value instanceof Date ? { d: value.toISOString(), id: doc.id } : { v: value ?? null, id: doc.id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/* Cursor → { value, id }, or null when it isn't one of ours */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!payload || typeof payload.id !== "string") return null;
+    return { value: "d" in payload ? new Date(payload.d) : payload.v, id: payload.id };
+  } catch {
+    return null;
+  }
+}
+
+/* Documents strictly after the cursor in (field, id) order — also usable as an aggregate $match */
+function afterCursor(field, direction, { value, id }) {
+  const past = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { [field]: { [past]: value } },
+      { [field]: value, id: { [past]: id } },
+    ],
+  };
+}
+
+/*
+ * One page of `collection`.
+ *   filter      — what is being listed (total counts everything that matches)
+ *   projection  — must keep `id` and the sort field
+ *   sort/order  — a whitelisted field that every document has, "asc" | "desc"
+ *   cursor      — nextCursor from the previous page, if any
+ * Returns { status, error } for a cursor that can't be read.
+ */
+async function paginate(collection, { filter = {}, projection, sort, order = "desc", limit = DEFAULT_LIMIT, cursor }) {
+  const direction = order === "asc" ? 1 : -1;
+  let pageFilter = filter;
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) return { status: 400, error: "Invalid cursor" };
+    pageFilter = { $and: [filter, afterCursor(sort, direction, position)] };
+  }
+
+  const [docs, total] = await Promise.all([
+    collection
+      .find(pageFilter, { projection })
+      .sort({ [sort]: direction, id: direction })
+      .limit(limit + 1)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  const items = docs.slice(0, limit);
+  const nextCursor = docs.length > limit ? encodeCursor(items[items.length - 1], sort) : null;
+
+  return { items, total, limit, nextCursor };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  paginate,
+};
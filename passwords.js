@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+/* ============================================================
+   Shore Roleplay — Password Hashing
+   Stored format: scrypt$<N>$<r>$<p>$<salt>$<hash>
+   ============================================================ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const PREFIX = "scrypt";
+
+async function derive(password, salt, { N, r, p }) {
+  return scrypt(String(password), salt, KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: 128 * N * r * 2,
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await derive(password, salt, SCRYPT_PARAMS);
+
+  return [PREFIX, N, r, p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+function parseHash(stored) {
+  if (typeof stored !== "string") return null;
+
+  const parts = stored.split("$");
+  if (parts.length !== 6 || parts[0] !== PREFIX) return null;
+
+  const [, N, r, p, salt, hash] = parts;
+  return {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+    salt: Buffer.from(salt, "base64"),
+    hash: Buffer.from(hash, "base64"),
+  };
+}
+
+/* true when the stored value is one of our hashes (not legacy plaintext) */
+function isPasswordHash(stored) {
+  return parseHash(stored) !== null;
+}
+
+/* true when a hash was made with older/weaker parameters */
+function needsRehash(stored) {
+  const parsed = parseHash(stored);
+  if (!parsed) return true;
+  return (
+    parsed.N !== SCRYPT_PARAMS.N ||
+    parsed.r !== SCRYPT_PARAMS.r ||
+    parsed.p !== SCRYPT_PARAMS.p ||
+    parsed.hash.length !== KEY_LENGTH
+  );
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a password against a stored value.
+ * Legacy plaintext records are compared directly (constant time) —
+ * callers should rehash straight away when needsRehash() says so.
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string") return false;
+
+  const parsed = parseHash(stored);
+
+  if (!parsed) {
+    const digest = (v) => crypto.createHash("sha256").update(v).digest();
+    return safeEqual(digest(password), digest(stored));
+  }
+
+  const key = await derive(password, parsed.salt, parsed);
+  return safeEqual(key, parsed.hash);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isPasswordHash,
+  needsRehash,
+};
@@ -0,0 +1,121 @@
+/* ============================================================
+   Shore Roleplay — Roles & Permissions
+   Higher rank = more authority. Every role inherits the
+   permissions of all roles ranked below it.
+   ============================================================ */
+
+/// ROLES, HIGHEST → LOWEST
+const STAFF_ROLES = [
+  "Head Administrator",
+  "Internal Affairs",
+  "Administration",
+  "Junior Administration",
+  "Senior Staff",
+  "Staff",
+  "Staff In Training",
+];
+
+const DEFAULT_ROLE = "user";
+
+/// ROLE → RANK (regular members are rank 0)
+const ROLE_RANKS = STAFF_ROLES.reduce(
+  (ranks, role, i) => ({ ...ranks, [role]: STAFF_ROLES.length - i }),
+  { [DEFAULT_ROLE]: 0 }
+);
+
+/// EVERY NAMED PERMISSION
+const PERMISSIONS = [
+  "applications.view",
+  "applications.decide",
+  "applications.delete",
+  "appeals.view",
+  "appeals.decide",
+  "appeals.delete",
+  "appeals.bans",
+  "users.view",
+  "users.restrict",
+  "users.ban",
+  "users.delete",
+  "roles.assign",
+  "forum.moderate",
+  "forum.categories",
+  "panel.staff",
+  "panel.admin",
+  "audit.view",
+  "lockouts.manage",
+  "departments.manage",
+  "emails.manage",
+  "moderation.configure",
+];
+
+/// PERMISSIONS EACH ROLE ADDS ON TOP OF THE ROLES BELOW IT
+const ROLE_GRANTS = {
+  "Staff In Training": [
+    "applications.view",
+    "appeals.view",
+    "users.view",
+    "panel.staff",
+  ],
+  "Staff": [
+    "applications.decide",
+    "forum.moderate",
+    "users.restrict",
+    "lockouts.manage",
+  ],
+  "Senior Staff": ["applications.delete", "users.ban"],
+  "Junior Administration": ["appeals.decide"],
+  "Administration": ["roles.assign", "emails.manage", "forum.categories"],
+  "Internal Affairs": ["users.delete", "appeals.delete", "appeals.bans", "audit.view"],
+  "Head Administrator": PERMISSIONS,
+};
+
+/// ROLE → FULL PERMISSION SET (own grants + everything below)
+const ROLE_PERMISSIONS = {};
+[...STAFF_ROLES].reverse().reduce((inherited, role) => {
+  const perms = new Set([...inherited, ...(ROLE_GRANTS[role] || [])]);
+  ROLE_PERMISSIONS[role] = perms;
+  return perms;
+}, new Set());
+ROLE_PERMISSIONS[DEFAULT_ROLE] = new Set();
+
+function isKnownRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_RANKS, role);
+}
+
+/* Unknown / missing roles are treated as regular members */
+function rankOf(role) {
+  return isKnownRole(role) ? ROLE_RANKS[role] : 0;
+}
+
+function isStaff(user) {
+  if (!user) return false;
+  return STAFF_ROLES.includes(user.role);
+}
+
+function permissionsFor(role) {
+  return [...(ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[DEFAULT_ROLE])];
+}
+
+function hasPermission(user, permission) {
+  if (!user) return false;
+  const perms = ROLE_PERMISSIONS[user.role];
+  return !!perms && perms.has(permission);
+}
+
+/* actor may only act on accounts strictly below their own rank */
+function outranks(actor, target) {
+  return rankOf(actor?.role) > rankOf(target?.role);
+}
+
+module.exports = {
+  STAFF_ROLES,
+  DEFAULT_ROLE,
+  ROLE_RANKS,
+  PERMISSIONS,
+  isKnownRole,
+  rankOf,
+  isStaff,
+  permissionsFor,
+  hasPermission,
+  outranks,
+};
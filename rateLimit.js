@@ -0,0 +1,137 @@
+/* ============================================================
+   Shore Roleplay — Rate Limiting
+   Fixed-window counters with pluggable stores
+   ============================================================ */
+
+/* In-process store — fine for a single instance / development */
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Drop finished windows so the map doesn't grow forever
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) this.hits.delete(key);
+      }
+    }, 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+/*
+ * Shared store backed by a MongoDB collection — survives restarts and
+ * works across several server instances. getCollection is called lazily
+ * because the DB connects after this module loads.
+ */
+class MongoStore {
+  constructor(getCollection) {
+    this.getCollection = getCollection;
+  }
+
+  async increment(key, windowMs) {
+    const now = new Date();
+    const nextReset = new Date(now.getTime() + windowMs);
+    const active = { $gt: ["$resetAt", now] };
+
+    // Single atomic update: bump the counter, or start a new window
+    const doc = await this.getCollection().findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            count: { $cond: [active, { $add: ["$count", 1] }, 1] },
+            resetAt: { $cond: [active, "$resetAt", nextReset] },
+          },
+        },
+      ],
+      { upsert: true, returnDocument: "after" }
+    );
+
+    return { count: doc.count, resetAt: doc.resetAt };
+  }
+
+  async reset(key) {
+    await this.getCollection().deleteOne({ _id: key });
+  }
+}
+
+/**
+ * Build an Express middleware for one route policy.
+ *
+ * name      — prefix for the counter keys ("login", "register"…)
+ * windowMs  — window length
+ * limits    — { keyName: { max, key: (req) => string|null } }
+ *             e.g. { ip: {...}, account: {...} }; a null key is skipped
+ * store     — MemoryStore / MongoStore
+ */
+function createRateLimiter({ name, windowMs, limits, store }) {
+  return async (req, res, next) => {
+    try {
+      let tightest = null;
+
+      for (const [scope, { max, key }] of Object.entries(limits)) {
+        const value = key(req);
+        if (!value) continue;
+
+        const { count, resetAt } = await store.increment(
+          `${name}:${scope}:${value}`,
+          windowMs
+        );
+        const remaining = Math.max(0, max - count);
+
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { max, remaining, resetAt, exceeded: count > max };
+        }
+      }
+
+      if (!tightest) return next();
+
+      const resetSeconds = Math.max(
+        0,
+        Math.ceil((new Date(tightest.resetAt).getTime() - Date.now()) / 1000)
+      );
+
+      res.setHeader("RateLimit-Limit", tightest.max);
+      res.setHeader("RateLimit-Remaining", tightest.remaining);
+      res.setHeader("RateLimit-Reset", resetSeconds);
+
+      if (tightest.exceeded) {
+        res.setHeader("Retry-After", resetSeconds);
+        return res.status(429).json({
+          error: "Too many requests, please try again later",
+          retryAfter: resetSeconds,
+        });
+      }
+
+      next();
+    } catch (err) {
+      // Never lock everyone out because the limiter itself broke
+      console.error("❌ RATE LIMIT ERROR:", err);
+      next();
+    }
+  };
+}
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  createRateLimiter,
+};
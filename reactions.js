@@ -0,0 +1,39 @@
+/* ============================================================
+   Shore Roleplay — Forum Reactions
+   Members react to threads and replies with one of a fixed set
+   of emoji. Each reaction is one document in `reactions`
+   ({ contentType, contentId, threadId, userId, reaction }), so a
+   member toggles their own and counts are an aggregate per thread.
+   ============================================================ */
+
+/// REACTION KEY → EMOJI (keys are what clients send and what is stored)
+const REACTIONS = {
+  like: "👍",
+  love: "❤️",
+  laugh: "😂",
+  wow: "😮",
+  sad: "😢",
+  thanks: "🙏",
+};
+
+/*
+ * Counts for one thread or reply, in REACTIONS order.
+ * rows: [{ reaction, count, reacted }] — reacted is whether the viewer is one of them
+ */
+function reactionSummary(rows = []) {
+  const byKey = new Map(rows.map((row) => [row.reaction, row]));
+
+  return Object.entries(REACTIONS)
+    .filter(([key]) => byKey.get(key)?.count > 0)
+    .map(([key, emoji]) => ({
+      reaction: key,
+      emoji,
+      count: byKey.get(key).count,
+      reacted: !!byKey.get(key).reacted,
+    }));
+}
+
+module.exports = {
+  REACTIONS,
+  reactionSummary,
+};
@@ -0,0 +1,84 @@
+/* ============================================================
+   Shore Roleplay — Warnings, Strikes & Restrictions
+   Sanctions live in the `sanctions` collection. Warnings and
+   strikes expire; active strikes feed the escalation policy
+   (e.g. 3 active strikes → 7-day ban). Restrictions block one
+   or more scopes until they expire or are revoked.
+   ============================================================ */
+
+const SANCTION_TYPES = ["warning", "strike", "restriction"];
+
+/// RESTRICTION SCOPE → WHAT IT BLOCKS
+const RESTRICTION_SCOPES = {
+  forum: "Creating threads and replying on the forum",
+  gallery: "Uploading to the gallery",
+  apply: "Submitting department applications",
+};
+
+/// HOW LONG A SANCTION COUNTS WHEN NO EXPIRY IS GIVEN (null = until revoked)
+const DEFAULT_DURATIONS_MS = {
+  warning: 30 * 24 * 60 * 60 * 1000, // 30 days
+  strike: 90 * 24 * 60 * 60 * 1000, // 90 days
+  restriction: null,
+};
+
+/// USED UNTIL AN ADMIN SAVES ANOTHER POLICY
+const DEFAULT_ESCALATION_POLICY = {
+  rules: [
+    { strikes: 2, action: "restrict", scopes: ["forum"], durationHours: 72 },
+    { strikes: 3, action: "ban", durationHours: 7 * 24 },
+  ],
+};
+
+function isSanctionActive(sanction, now = new Date()) {
+  if (!sanction || sanction.revokedAt) return false;
+  return !sanction.expiresAt || new Date(sanction.expiresAt) > now;
+}
+
+/* "3:ban" — unique within a policy, and unlike a position it survives edits to other rules */
+function ruleKey(rule) {
+  return `${rule.strikes}:${rule.action}`;
+}
+
+/*
+ * Rules a user with `activeStrikes` has reached that weren't applied yet.
+ * `applied` holds the rule keys recorded on their active strikes, so a
+ * lowered threshold still catches users already past it. → [{ rule, key }]
+ */
+function escalationFor(policy, activeStrikes, applied = []) {
+  return (policy?.rules || [])
+    .map((rule) => ({ rule, key: ruleKey(rule) }))
+    .filter(({ rule, key }) => rule.strikes <= activeStrikes && !applied.includes(key));
+}
+
+/* Problems with an escalation policy, or [] if usable */
+function checkEscalationPolicy(policy) {
+  const problems = [];
+  const seen = new Set();
+
+  (policy.rules || []).forEach((rule, i) => {
+    const where = `rules[${i}]`;
+
+    if (rule.action === "restrict" && !rule.scopes?.length)
+      problems.push(`${where}: a restriction needs scopes`);
+    if (rule.action === "ban" && rule.scopes?.length)
+      problems.push(`${where}: bans don't take scopes`);
+
+    const key = ruleKey(rule);
+    if (seen.has(key)) problems.push(`${where}: duplicate ${rule.action} at ${rule.strikes} strikes`);
+    seen.add(key);
+  });
+
+  return problems;
+}
+
+module.exports = {
+  SANCTION_TYPES,
+  RESTRICTION_SCOPES,
+  DEFAULT_DURATIONS_MS,
+  DEFAULT_ESCALATION_POLICY,
+  isSanctionActive,
+  ruleKey,
+  escalationFor,
+  checkEscalationPolicy,
+};
@@ -0,0 +1,92 @@
+/* ============================================================
+   MIGRATION — Normalize department references
+   Seeds the `departments` collection (if empty) and rewrites the
+   free-text department stored on applications / gallery items to
+   department codes. Values that match no department are reported
+   and left untouched.
+
+   Usage:
+     node scripts/migrate-departments.js            (apply)
+     node scripts/migrate-departments.js --dry-run  (report only)
+   ============================================================ */
+
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+const {
+  DEFAULT_DEPARTMENTS,
+  buildDepartmentIndex,
+  resolveDepartment,
+  seedDepartments,
+} = require("../departments");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function normalizeCollection(collection, index, label) {
+  const values = await collection.distinct("department");
+  const unknown = [];
+
+  for (const value of values) {
+    const dept = resolveDepartment(index, value);
+
+    if (!dept) {
+      const count = await collection.countDocuments({ department: value });
+      unknown.push({ value, count });
+      continue;
+    }
+
+    if (dept.code === value) continue;
+
+    const filter = { department: value };
+    const count = await collection.countDocuments(filter);
+    console.log(`  ${label}: "${value}" → "${dept.code}" (${count} records)`);
+
+    if (!DRY_RUN) {
+      await collection.updateMany(filter, {
+        $set: { department: dept.code, departmentLegacy: value },
+      });
+    }
+  }
+
+  for (const { value, count } of unknown) {
+    console.warn(`  ⚠️ ${label}: unknown department "${value}" (${count} records) — left as is`);
+  }
+}
+
+async function main() {
+  if (!process.env.MONGO_URI) {
+    console.error("❌ MONGO_URI missing in .env");
+    process.exit(1);
+  }
+
+  const client = new MongoClient(process.env.MONGO_URI);
+  await client.connect();
+  const db = client.db("shoreRoleplay");
+
+  const Departments = db.collection("departments");
+
+  let departments;
+  if (DRY_RUN) {
+    departments = await Departments.find({}).toArray();
+    if (!departments.length) {
+      console.log(`🌱 Would seed ${DEFAULT_DEPARTMENTS.length} default departments`);
+      departments = DEFAULT_DEPARTMENTS;
+    }
+  } else {
+    const seeded = await seedDepartments(Departments);
+    if (seeded) console.log(`🌱 Seeded ${seeded} default departments`);
+    departments = await Departments.find({}).toArray();
+  }
+  const index = buildDepartmentIndex(departments);
+
+  console.log(DRY_RUN ? "🔎 DRY RUN — no changes written" : "🛠 Normalizing departments");
+  await normalizeCollection(db.collection("applications"), index, "applications");
+  await normalizeCollection(db.collection("gallery"), index, "gallery");
+
+  await client.close();
+  console.log("✅ Department migration finished");
+}
+
+main().catch((err) => {
+  console.error("❌ Department migration failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+/* ============================================================
+   Shore Roleplay — Search
+   GET /search runs a MongoDB text search over each type the
+   caller may see. Results come back best match first, each with
+   snippets of the fields that matched:
+
+   { text: "…the ban was lifted after…", highlights: [[4, 7]] }
+
+   highlights are [start, end) offsets into `text`, so clients
+   mark them up themselves (nothing here is HTML). Building the
+   queries needs the DB and lives in server.js.
+   ============================================================ */
+
+/// TYPE → WHAT IS SEARCHED AND WHO MAY SEARCH IT (null = anyone)
+const SEARCH_TYPES = {
+  threads: { label: "Forum threads", fields: ["title", "body"], permission: null },
+  replies: { label: "Forum replies", fields: ["body"], permission: null },
+  users: { label: "Users", fields: ["username"], permission: null },
+  applications: { label: "Applications", fields: ["searchText"], permission: "applications.view" },
+};
+
+const SNIPPET_LENGTH = 160;
+
+/* Words of a search query worth highlighting ("-excluded" words and stray punctuation dropped) */
+function searchTerms(q) {
+  const words = String(q || "")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .flatMap((word) => word.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((word) => word.length > 1);
+  return [...new Set(words)];
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/*
+ * Up to `length` characters of `text` around the first match of `terms`,
+ * or null when there's no text. Words starting with a term count as a
+ * match, so "ban" highlights "banned" the way the text index stems it.
+ */
+function snippet(text, terms, length = SNIPPET_LENGTH) {
+  if (typeof text !== "string" || !text.trim()) return null;
+
+  const flat = text.replace(/\s+/g, " ").trim();
+  const pattern = terms.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`, "giu")
+    : null;
+  const matches = pattern ? [...flat.matchAll(pattern)] : [];
+
+  // start a third of the way before the first match, on a word boundary
+  let start = 0;
+  if (matches.length && flat.length > length) {
+    start = Math.max(0, Math.min(matches[0].index - Math.floor(length / 3), flat.length - length));
+    if (start > 0) {
+      const space = flat.indexOf(" ", start);
+      start = space !== -1 && space < matches[0].index ? space + 1 : start;
+    }
+  }
+  const end = Math.min(flat.length, start + length);
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < flat.length ? "…" : "";
+  const highlights = matches
+    .filter((m) => m.index >= start && m.index + m[0].length <= end)
+    .map((m) => [m.index - start + prefix.length, m.index + m[0].length - start + prefix.length]);
+
+  return { text: prefix + flat.slice(start, end) + suffix, highlights };
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  SNIPPET_LENGTH,
+  searchTerms,
+  snippet,
+};
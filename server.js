@@ -2,13 +2,103 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const crypto = require("crypto");
-const Brevo = require("@getbrevo/brevo");
 const { MongoClient } = require("mongodb");
+const {
+  REFRESH_TOKEN_TTL_MS,
+  signToken,
+  verifyToken,
+  issueAccessToken,
+  generateOpaqueToken,
+  hashToken,
+  getBearerToken,
+} = require("./auth");
+const { hashPassword, verifyPassword, needsRehash } = require("./passwords");
+const {
+  generateSecret,
+  otpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require("./totp");
+const {
+  DEFAULT_ROLE,
+  ROLE_RANKS,
+  rankOf,
+  isStaff,
+  permissionsFor,
+  hasPermission,
+  outranks,
+} = require("./permissions");
+const { scrub, diffDocs, toCSV } = require("./audit");
+const {
+  buildDepartmentIndex,
+  resolveDepartment,
+  findNameConflicts,
+  seedDepartments,
+} = require("./departments");
+const {
+  DEFAULT_FORM_FIELDS,
+  formFieldSchema,
+  checkFormDefinition,
+  legacyQuestionsToFields,
+  checkAnswers,
+  answersText,
+} = require("./applicationForms");
+const {
+  STAGES,
+  FINAL_STAGES,
+  isFinalStage,
+  statusForStage,
+  stageOf,
+  transitionsFor,
+  canTransition,
+  checkPipeline,
+} = require("./applicationPipeline");
+const { BAN_SCOPES, isBanActive, effectiveBan, banStateFields } = require("./bans");
+const {
+  SANCTION_TYPES,
+  RESTRICTION_SCOPES,
+  DEFAULT_DURATIONS_MS,
+  DEFAULT_ESCALATION_POLICY,
+  escalationFor,
+  checkEscalationPolicy,
+} = require("./sanctions");
+const { APPEAL_TYPES, REVIEWER_PERMISSIONS, withinAppealWindow } = require("./appeals");
+const {
+  DEFAULT_PERMISSIONS,
+  DEFAULT_CATEGORIES,
+  slugify,
+  nameFromSlug,
+  ruleAllows,
+  checkCategoryPermissions,
+} = require("./categories");
+const {
+  TRASH_TYPES,
+  DEFAULT_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  live,
+  deletionStamp,
+  restoreStamp,
+  purgeCutoff,
+} = require("./trash");
+const { DEFAULT_LIMIT, MAX_LIMIT, encodeCursor, decodeCursor, afterCursor, paginate } = require("./pagination");
+const { SEARCH_TYPES, searchTerms, snippet } = require("./search");
+const { REACTIONS, reactionSummary } = require("./reactions");
+const { NOTIFICATION_TYPES, extractMentions, quoteExcerpt } = require("./notifications");
+const { MemoryStore, MongoStore, createRateLimiter } = require("./rateLimit");
+const { createTransportFromEnv, createConsoleTransport, EmailQueue } = require("./mailer");
+const {
+  t,
+  validate,
+  sendValidationError,
+  errorEnvelope,
+  jsonErrorHandler,
+} = require("./validation");
 
 const app = express();
 
-// allow large uploads (profile picture base64)
-app.use(express.json({ limit: "20mb" }));
+// one error envelope for every JSON error response
+app.use(errorEnvelope());
 
 // FIX CORS
 app.use(
@@ -19,47 +109,171 @@ app.use(
       "http://localhost:3000",
     ],
      methods: ["GET", "POST", "DELETE", "PUT", "PATCH"],
-    allowedHeaders: ["Content-Type"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Panel-Token"],
+    exposedHeaders: [
+      "Retry-After",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+    ],
   })
 );
 
+// allow profile picture uploads (base64) — per-field limits live in the schemas.
+// Parsed after CORS + the envelope so bad bodies still get a readable error
+app.use(express.json({ limit: "5mb" }));
+
 /* ===========================
    CONSTANTS
    =========================== */
-const FROM_NAME = process.env.FROM_NAME || "Shore Roleplay";
-const FROM_EMAIL = process.env.FROM_EMAIL || "noreply@shoreroleplay.xyz";
-const HAS_BREVO_KEY = !!process.env.BREVO_API_KEY;
-
-const STAFF_ROLES = [
-  "Head Administrator",
-  "Internal Affairs",
-  "Administration",
-  "Junior Administration",
-  "Senior Staff",
-  "Staff",
-  "Staff In Training",
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+const PANEL_SESSION_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const AUDIT_EXPORT_LIMIT = 10000;
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// A decision email claimed but never queued (crash) is retried after this
+const DECISION_EMAIL_CLAIM_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// How often timed bans are checked for expiry
+const BAN_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// How often the trash is checked for documents past their retention
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// A denied appeal can't be re-filed against the same ban before this
+const APPEAL_COOLDOWN_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+// Appellants don't see which staff member took the action they appeal
+const APPEAL_OWNER_PROJECTION = { _id: 0, actorId: 0 };
+
+// Delivered emails are dropped from the queue after 30 days (their bodies
+// are cleared on delivery); dead-lettered ones, bodies and all, after 7
+const EMAIL_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+const DEAD_EMAIL_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// Read notifications are dropped after 90 days (unread ones stay)
+const NOTIFICATION_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// What anyone may see in application lists: where an application is in the
+// pipeline and when, but not who sent it or what they wrote
+const APPLICATION_PUBLIC_PROJECTION = {
+  _id: 0,
+  id: 1,
+  department: 1,
+  formVersion: 1,
+  status: 1,
+  stage: 1,
+  stageUpdatedAt: 1,
+  "interview.at": 1,
+  decisionDate: 1,
+  submittedAt: 1,
+};
+
+// ...and what the applicant and staff with applications.view see on top.
+// Internal notes, stage history, reviewer ids and the email stay in the
+// staff-only application view
+const APPLICATION_LIST_PROJECTION = {
+  ...APPLICATION_PUBLIC_PROJECTION,
+  username: 1,
+  answers: 1,
+  reason: 1,
+  decisionReason: 1,
+};
+
+// What anyone may see of an account in the user list
+const USER_PUBLIC_PROJECTION = {
+  _id: 0,
+  id: 1,
+  username: 1,
+  role: 1,
+  staffTag: 1,
+  staffIcon: 1,
+  banned: 1,
+  banScope: 1,
+  restricted: 1,
+  createdAt: 1,
+};
+
+// ...and what staff with users.view see on top (never passwords, 2FA
+// secrets, IPs or HWIDs)
+const USER_STAFF_PROJECTION = {
+  ...USER_PUBLIC_PROJECTION,
+  email: 1,
+  verified: 1,
+  locale: 1,
+  banReason: 1,
+  banExpiresAt: 1,
+  lastLoginAt: 1,
+};
+
+const GALLERY_PROJECTION = {
+  _id: 0,
+  id: 1,
+  department: 1,
+  imageUrl: 1,
+  caption: 1,
+  author: 1,
+  authorId: 1,
+  createdAt: 1,
+};
+
+const AUTHOR_PROJECTION = { _id: 0, id: 1, username: 1, role: 1, staffTag: 1, staffIcon: 1 };
+
+// When on, staff accounts must enable 2FA before any panel opens
+const REQUIRE_STAFF_2FA = process.env.REQUIRE_STAFF_2FA === "true";
+
+// "memory" (default) or "mongo" (shared across instances)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+// Consecutive failed logins before an account locks, and how long each
+// successive lock lasts (the last step repeats)
+const LOGIN_LOCKOUT_THRESHOLD = 5;
+const LOGIN_LOCKOUT_STEPS_MS = [
+  60 * 1000, // 1 minute
+  5 * 60 * 1000, // 5 minutes
+  15 * 60 * 1000, // 15 minutes
+  60 * 60 * 1000, // 1 hour
+  24 * 60 * 60 * 1000, // 24 hours
 ];
 
+// Shared env passwords only work when break-glass mode is switched on
+const PANEL_BREAK_GLASS = process.env.PANEL_BREAK_GLASS === "true";
+
+/// PANEL → who may open it, and the break-glass fallback
+const PANELS = {
+  staff: {
+    label: "Staff panel",
+    permission: "panel.staff",
+    breakGlassPassword: process.env.STAFF_PANEL_PASSWORD,
+    breakGlassRole: "Staff",
+  },
+  admin: {
+    label: "Head admin panel",
+    permission: "panel.admin",
+    breakGlassPassword: process.env.HEAD_ADMIN_PASSWORD,
+    breakGlassRole: "Head Administrator",
+  },
+};
+
 /* ===========================
-   BREVO INITIALIZATION
+   EMAIL TRANSPORT & QUEUE
    =========================== */
 
-let brevoApi = null;
-if (HAS_BREVO_KEY) {
-  try {
-    const client = Brevo.ApiClient.instance;
-    client.authentications["api-key"].apiKey = process.env.BREVO_API_KEY;
-    client.basePath = "https://api.brevo.com/v3";
-    brevoApi = new Brevo.TransactionalEmailsApi();
-    console.log("✅ Brevo email client ready");
-  } catch (err) {
-    console.error("❌ Brevo init failed", err);
-    brevoApi = null;
-  }
-} else {
-  console.warn("⚠️ Missing BREVO_API_KEY (emails disabled)");
+let emailTransport;
+try {
+  emailTransport = createTransportFromEnv();
+  console.log(`✅ Email transport ready (${emailTransport.name})`);
+} catch (err) {
+  console.error("❌ Email transport init failed, logging emails instead:", err.message);
+  emailTransport = createConsoleTransport();
 }
 
+const emailQueue = new EmailQueue({
+  getCollection: () => EmailMessages,
+  transport: emailTransport,
+  onSettled: (message) => onEmailSettled(message),
+});
+
 /* ===========================
    MONGODB CONNECTION
    =========================== */
@@ -69,26 +283,176 @@ if (!process.env.MONGO_URI) {
   process.exit(1);
 }
 
+// MONGO_URI must point at a replica set (a single-node one is fine) or a
+// mongos — appeal decisions run in multi-document transactions
 const client = new MongoClient(process.env.MONGO_URI);
 
+/* Transactions need a replica set or sharded cluster — refuse to start without one */
+async function assertTransactionSupport() {
+  const hello = await db.admin().command({ hello: 1 });
+  if (hello.setName || hello.msg === "isdbgrid") return;
+
+  throw new Error(
+    "MongoDB at MONGO_URI is a standalone server, but transactions need a replica set " +
+      "or mongos. Start mongod with --replSet (a single-node set works) and run rs.initiate()."
+  );
+}
+
 // ADD PendingUsers HERE ⬇
 let db, Applications, Users, PendingUsers, Appeals, Threads, Replies, Gallery;
+let Sessions, PasswordResets, PanelSessions, AuditLog;
+let RateLimits, LoginLockouts, Departments, ApplicationForms;
+let EmailMessages, Bans, Sanctions, Settings, Categories, Revisions;
+let Reactions, Notifications;
+
+// name/alias → department, rebuilt whenever departments change
+let departmentIndex = buildDepartmentIndex([]);
+
+// slug → forum category, rebuilt whenever categories change
+let categoryIndex = new Map();
 
 async function initDB() {
   await client.connect();
   db = client.db("shoreRoleplay");
+  await assertTransactionSupport();
 
   // MAIN COLLECTIONS
   Applications = db.collection("applications");
+  await Applications.createIndex({ stage: 1, submittedAt: -1 });
+  await Applications.createIndex({ "stageHistory.to": 1 });
+  await Applications.createIndex({ assignedTo: 1 });
+  await Applications.createIndex({ submittedAt: -1, id: -1 });
+  await backfillApplicationStages();
   Users = db.collection("users");
+  await Users.createIndex({ createdAt: -1, id: -1 });
   Appeals = db.collection("appeals");
+  await Appeals.createIndex({ type: 1, targetId: 1, status: 1, handledAt: -1 });
+  await Appeals.createIndex({ userId: 1, createdAt: -1 });
+  await Appeals.createIndex({ type: 1, department: 1, status: 1 });
+  await Appeals.createIndex({ createdAt: -1, id: -1 });
+  await backfillAppealTypes();
   Threads = db.collection("threads");
   Replies = db.collection("replies");
   Gallery = db.collection("gallery");
+  await backfillIds(Gallery, "gallery items");
+  await Gallery.createIndex({ createdAt: -1, id: -1 });
 
   // 🆕 REQUIRED FOR EMAIL VERIFICATION FLOW
   PendingUsers = db.collection("pendingUsers");
 
+  // LOGIN SESSIONS (refresh tokens)
+  Sessions = db.collection("sessions");
+  await Sessions.createIndex({ id: 1 }, { unique: true });
+  await Sessions.createIndex({ refreshTokenHash: 1 }, { unique: true });
+  await Sessions.createIndex({ usedRefreshTokenHashes: 1 });
+  await Sessions.createIndex({ userId: 1 });
+  await Sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // PASSWORD RESET TOKENS (hashed, single use)
+  PasswordResets = db.collection("passwordResets");
+  await PasswordResets.createIndex({ tokenHash: 1 }, { unique: true });
+  await PasswordResets.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // PANEL ACCESS GRANTS (kept permanently as the access log)
+  PanelSessions = db.collection("panelSessions");
+  await PanelSessions.createIndex({ tokenHash: 1 }, { unique: true });
+  await PanelSessions.createIndex({ userId: 1, createdAt: -1 });
+
+  // AUDIT LOG (append-only — nothing in this server updates or deletes it)
+  AuditLog = db.collection("auditLog");
+  await AuditLog.createIndex({ createdAt: -1 });
+  await AuditLog.createIndex({ "actor.id": 1, createdAt: -1 });
+  await AuditLog.createIndex({ "target.type": 1, "target.id": 1, createdAt: -1 });
+  await AuditLog.createIndex({ action: 1, createdAt: -1 });
+
+  // RATE LIMIT COUNTERS (only used with RATE_LIMIT_STORE=mongo)
+  RateLimits = db.collection("rateLimits");
+  await RateLimits.createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+  // FAILED LOGIN TRACKING / ACCOUNT LOCKOUTS
+  LoginLockouts = db.collection("loginLockouts");
+  await LoginLockouts.createIndex({ key: 1 }, { unique: true });
+  await LoginLockouts.createIndex({ lockedUntil: -1 });
+  await backfillIds(LoginLockouts, "lockouts");
+  await LoginLockouts.createIndex({ lastFailureAt: -1, id: -1 });
+
+  // DEPARTMENT REGISTRY
+  Departments = db.collection("departments");
+  await Departments.createIndex({ code: 1 }, { unique: true });
+  if (await seedDepartments(Departments)) console.log("🌱 Seeded default departments");
+
+  // VERSIONED APPLICATION FORMS (one document per department + version)
+  ApplicationForms = db.collection("applicationForms");
+  await ApplicationForms.createIndex({ department: 1, version: -1 }, { unique: true });
+  await seedApplicationForms();
+
+  await loadDepartments();
+
+  // FORUM CATEGORIES
+  Categories = db.collection("categories");
+  await Categories.createIndex({ slug: 1 }, { unique: true });
+  await Threads.createIndex({ category: 1, lastActivityAt: -1 });
+  await Threads.createIndex({ category: 1, pinned: -1, createdAt: -1 });
+  await seedCategories();
+  await backfillThreadActivity();
+  await loadCategories();
+
+  // EDIT HISTORY FOR THREADS & REPLIES (every replaced version)
+  Revisions = db.collection("forumRevisions");
+  await Revisions.createIndex({ contentType: 1, contentId: 1, version: 1 }, { unique: true });
+
+  // REACTIONS (one per member, emoji and thread/reply) & NOTIFICATIONS
+  Reactions = db.collection("reactions");
+  await Reactions.createIndex({ contentType: 1, contentId: 1, userId: 1, reaction: 1 }, { unique: true });
+  await Reactions.createIndex({ threadId: 1 });
+  Notifications = db.collection("notifications");
+  await Notifications.createIndex({ id: 1 }, { unique: true });
+  await Notifications.createIndex({ userId: 1, createdAt: -1, id: -1 });
+  await Notifications.createIndex({ userId: 1, readAt: 1 });
+  await Notifications.createIndex({ readAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_SECONDS });
+
+  // TRASH — soft-deleted documents, purged after the retention period
+  for (const collection of [Threads, Replies, Applications, Users]) {
+    await collection.createIndex({ deletedAt: 1 }, { sparse: true });
+  }
+  await Replies.createIndex({ deletedWith: 1 }, { sparse: true });
+  await Applications.createIndex({ deletedWith: 1 }, { sparse: true });
+
+  // SEARCH (one text index per collection — see search.js)
+  await Threads.createIndex({ title: "text", body: "text" }, { name: "search", weights: { title: 5 } });
+  await Replies.createIndex({ body: "text" }, { name: "search" });
+  await Users.createIndex({ username: "text" }, { name: "search" });
+  // the first application index only covered `reason`, which form answers don't fill
+  const appSearch = (await Applications.indexes()).find((i) => i.name === "search");
+  if (appSearch && !appSearch.weights?.searchText) await Applications.dropIndex("search");
+  await Applications.createIndex({ searchText: "text" }, { name: "search" });
+  await backfillApplicationSearchText();
+
+  // OUTBOUND EMAIL QUEUE (sent and dead messages expire — they can hold one-time links)
+  EmailMessages = db.collection("emailQueue");
+  await EmailMessages.createIndex({ id: 1 }, { unique: true });
+  await EmailMessages.createIndex({ status: 1, nextAttemptAt: 1 });
+  await EmailMessages.createIndex({ createdAt: -1 });
+  await EmailMessages.createIndex({ sentAt: 1 }, { expireAfterSeconds: EMAIL_RETENTION_SECONDS });
+  await EmailMessages.createIndex({ deadAt: 1 }, { expireAfterSeconds: DEAD_EMAIL_RETENTION_SECONDS });
+  emailQueue.start();
+
+  // BAN RECORDS (one per ban, never overwritten)
+  Bans = db.collection("bans");
+  await Bans.createIndex({ id: 1 }, { unique: true });
+  await Bans.createIndex({ userId: 1, createdAt: -1 });
+  await Bans.createIndex({ liftedAt: 1, expiresAt: 1 });
+  await backfillLegacyBans();
+  startBanSweeper();
+
+  // WARNINGS / STRIKES / RESTRICTIONS + admin-editable settings
+  Sanctions = db.collection("sanctions");
+  await Sanctions.createIndex({ id: 1 }, { unique: true });
+  await Sanctions.createIndex({ userId: 1, type: 1, createdAt: -1 });
+  Settings = db.collection("settings");
+  await backfillLegacyRestrictions();
+  startTrashPurger();
+
   console.log("📦 MongoDB connected");
 }
 
@@ -108,685 +472,5268 @@ function getClientIP(req) {
   return req.ip || null;
 }
 
-function generateHWID() {
-  return crypto.randomBytes(16).toString("hex");
+/* Constant-time string compare (for env secrets) */
+function safeCompare(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const digest = (v) => crypto.createHash("sha256").update(v).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
 }
 
-async function userHasDepartment(email) {
-  const apps = await Applications.find({
-    email,
-    status: "accepted",
-  }).toArray();
-  return apps.length > 0;
+/* Staff without 2FA are locked out of panels while the policy is on */
+function needsTwoFactorSetup(user) {
+  return REQUIRE_STAFF_2FA && isStaff(user) && !user.twoFactor?.enabled;
+}
+
+/*
+ * Check a second factor for a 2FA-enabled account: either a TOTP code
+ * (each time step accepted once) or a single-use recovery code.
+ */
+async function checkSecondFactor(user, { code, recoveryCode }) {
+  const tf = user.twoFactor;
+  if (!tf?.enabled) return false;
+
+  if (code) {
+    const step = verifyTotp(tf.secret, code);
+    if (step === null) return false;
+
+    // Claim the step atomically so the same code can't be replayed
+    const r = await Users.updateOne(
+      {
+        id: user.id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $lt: step } },
+          { "twoFactor.lastUsedStep": null },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return r.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const r = await Users.updateOne(
+      { id: user.id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return r.modifiedCount === 1;
+  }
+
+  return false;
 }
 
-function isStaff(user) {
-  if (!user) return false;
-  return STAFF_ROLES.includes(user.role);
+function generateHWID() {
+  return crypto.randomBytes(16).toString("hex");
 }
 
 /* ===========================
-   EMAIL TEMPLATES
+   DEPARTMENTS
    =========================== */
 
-const {
-  acceptedEmail,
-  deniedEmail,
-  verifyEmail
-} = require("./emailTemplates");
+/*
+ * Save `fields` as the next form version for a department and make it
+ * current. Older versions stay untouched for existing applications.
+ * Returns { form }, or { status: 409, error } when another save took
+ * the same version number first.
+ */
+async function createFormVersion(code, fields, createdBy) {
+  const latest = await ApplicationForms.findOne(
+    { department: code },
+    { sort: { version: -1 } }
+  );
 
-/* ============================================================
-   SEND DECISION EMAILS (APPLICATION STATUS)
-   ============================================================ */
+  const form = {
+    department: code,
+    version: (latest?.version || 0) + 1,
+    fields,
+    createdAt: new Date(),
+    createdBy: createdBy || null,
+  };
+
+  try {
+    await ApplicationForms.insertOne(form);
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return { status: 409, error: "The form was changed by someone else, reload and try again" };
+  }
 
-async function sendDecisionEmail(status, user) {
-  const html =
-    status === "accepted"
-      ? acceptedEmail({ username: user.username })
-      : deniedEmail({ username: user.username });
+  await Departments.updateOne(
+    { code },
+    { $max: { formVersion: form.version }, $set: { updatedAt: form.createdAt } }
+  );
 
-  const subject =
-    status === "accepted"
-      ? "Your Shore Roleplay Application Has Been Approved"
-      : "Your Shore Roleplay Application Status";
+  return { form };
+}
 
-  if (!brevoApi) {
-    console.log("📧 [DEV MODE] Skipped email:", { to: user.email, subject });
-    return;
+/* Departments without a form get version 1 (default + old free-text questions) */
+async function seedApplicationForms() {
+  const departments = await Departments.find({ formVersion: { $exists: false } }).toArray();
+
+  for (const dept of departments) {
+    const seeded = await createFormVersion(dept.code, [
+      ...DEFAULT_FORM_FIELDS,
+      ...legacyQuestionsToFields(dept.questions),
+    ]);
+    // another instance is seeding this department
+    if (seeded.error) continue;
+    await Departments.updateOne({ code: dept.code }, { $unset: { questions: "" } });
   }
 
-  try {
-    const email = new Brevo.SendSmtpEmail();
-    email.sender = { name: FROM_NAME, email: FROM_EMAIL };
-    email.to = [{ email: user.email, name: user.username }];
-    email.subject = subject;
-    email.htmlContent = html;
+  if (departments.length)
+    console.log(`🌱 Created application forms for ${departments.length} departments`);
+}
 
-    await brevoApi.sendTransacEmail(email);
-    console.log(`📧 Email sent → ${user.email}`);
-  } catch (err) {
-    console.error("❌ Email error:", err.response?.body || err);
-  }
+async function getForm(code, version) {
+  return ApplicationForms.findOne(
+    { department: code, version },
+    { projection: { _id: 0 } }
+  );
 }
 
+/* Department heads manage their own department; HAs manage all */
+function canManageDepartment(user, dept) {
+  return (
+    hasPermission(user, "departments.manage") ||
+    (dept.heads || []).includes(user?.id)
+  );
+}
 
-/* ===========================
-   ROUTES – BASIC
-   =========================== */
+async function loadDepartments() {
+  const departments = await Departments.find({}, { projection: { _id: 0 } }).toArray();
+  departmentIndex = buildDepartmentIndex(departments);
+}
 
-app.get("/", (req, res) => res.send("Shore Roleplay Backend Online 🚀"));
+/* code / display name / alias → department document (or null) */
+function findDepartment(raw) {
+  return resolveDepartment(departmentIndex, raw);
+}
 
-app.post("/staff-auth", (req, res) => {
-  if (!process.env.STAFF_PANEL_PASSWORD)
-    return res.status(500).json({ error: "Staff password not set" });
+/* Every department once (the index holds one entry per name) */
+function allDepartments() {
+  return [...new Set(departmentIndex.values())];
+}
 
-  req.body.password === process.env.STAFF_PANEL_PASSWORD
-    ? res.json({ success: true })
-    : res.status(401).json({ error: "Invalid password" });
-});
+/* Stored department value → code, leaving unknown legacy values untouched */
+function departmentCode(raw) {
+  return findDepartment(raw)?.code || raw || null;
+}
+
+function publicDepartment(dept) {
+  return {
+    code: dept.code,
+    name: dept.name,
+    aliases: dept.aliases || [],
+    open: !!dept.open,
+    formVersion: dept.formVersion || null,
+    pipeline: transitionsFor(dept),
+    heads: dept.heads || [],
+  };
+}
 
 /* ===========================
-   HEAD ADMIN PANEL AUTH
+   APPLICATION PIPELINE
    =========================== */
 
-app.post("/ha-auth", (req, res) => {
-  const haPass = process.env.HEAD_ADMIN_PASSWORD;
-  if (!haPass)
-    return res
-      .status(500)
-      .json({ error: "HEAD_ADMIN_PASSWORD not set in environment" });
+/* Applications from before the pipeline get a stage matching their status */
+async function backfillApplicationStages() {
+  const r = await Applications.updateMany({ stage: { $exists: false } }, [
+    {
+      $set: {
+        stage: {
+          $cond: [{ $in: ["$status", Object.keys(FINAL_STAGES)] }, "$status", "submitted"],
+        },
+        stageHistory: [],
+      },
+    },
+  ]);
+  if (r.modifiedCount)
+    console.log(`🛠 Backfilled pipeline stage on ${r.modifiedCount} applications`);
+}
 
-  req.body.password === haPass
-    ? res.json({ success: true })
-    : res.status(401).json({ error: "Invalid head admin password" });
-});
+/*
+ * Move an application to another stage of its department's pipeline.
+ * Returns { application } or { status, error } — the update only lands if
+ * nobody else moved the application in the meantime.
+ */
+async function moveApplication(req, appDoc, to, { note = null, interviewAt = null } = {}) {
+  const from = stageOf(appDoc);
+  const transitions = transitionsFor(findDepartment(appDoc.department));
+
+  if (appDoc.email === req.user.email)
+    return { status: 403, error: "You can't review your own application" };
+
+  if (!canTransition(transitions, from, to))
+    return {
+      status: 409,
+      error: `Application can't move from "${from}" to "${to}"`,
+      allowed: transitions[from] || [],
+    };
 
-/* ===========================
-   APPLICATIONS (ORIGINAL)
-   =========================== */
+  const at = new Date();
+  const set = { stage: to, status: statusForStage(to), stageUpdatedAt: at };
 
-app.post("/apply", async (req, res) => {
-  try {
-    const {
-      id,
-      username,
-      email,
-      department,
-      reason,
-      agreedLogging,
-      agreedDiscord,
-    } = req.body;
+  if (to === "interview_scheduled")
+    set.interview = { at: interviewAt, scheduledBy: req.user.id };
 
-    if (!id || !username || !email || !department || !reason)
-      return res.status(400).json({ error: "Missing fields" });
+  if (isFinalStage(to))
+    Object.assign(set, {
+      decisionReason: note,
+      decisionDate: at,
+      decidedBy: req.user.id,
+      // delivered by deliverDecisionEmail()
+      decisionEmail: { decision: to, status: "pending", attempts: 0, sentAt: null, lastError: null },
+    });
 
-    if (reason.length < 100)
-      return res.status(400).json({ error: "Reason too short" });
+  const application = await Applications.findOneAndUpdate(
+    { id: appDoc.id, stage: appDoc.stage },
+    {
+      $set: set,
+      $push: { stageHistory: { from, to, at, by: req.user.id, note } },
+    },
+    { returnDocument: "after" }
+  );
 
-    // PREVENT SAME APPLICATION ID, BUT ALLOW MULTIPLE APPLICATIONS
-    // just ensure they don't submit the same ID twice
-    const exists = await Applications.findOne({ id });
-    if (exists) return res.status(409).json({ error: "Exists" });
+  if (!application)
+    return { status: 409, error: "Application was updated by someone else, reload and try again" };
 
-    await Applications.insertOne({
-      id,
-      username,
-      email,
-      department,
-      reason,
-      agreedLogging: true,
-      agreedDiscord: true,
-      status: "pending",
-      submittedAt: new Date().toISOString(),
-    });
+  return { application };
+}
 
-    res.json({ success: true });
-  } catch (err) {
-    console.error("❌ APPLY ERROR:", err);
-    res.status(500).json({ error: "Internal" });
-  }
-});
+/*
+ * A page of applications matching `base` and the list filters. Answers and
+ * applicant names are for reviewers only — and so is sorting by name, which
+ * would give away the order of names that aren't shown.
+ */
+async function applicationPage(req, base) {
+  const reviewer = hasPermission(req.user, "applications.view");
+  if (!reviewer && req.query.sort === "username")
+    return { status: 403, error: "Sorting by applicant needs applications.view" };
+
+  return paginate(Applications, {
+    filter: applicationFilter(req.query, base),
+    projection: reviewer ? APPLICATION_LIST_PROJECTION : APPLICATION_PUBLIC_PROJECTION,
+    ...pageOptions(req.query),
+  });
+}
 
+/* Shared ?status= / ?stage= / ?reached= / ?department= / ?assignedTo= / ?from= / ?to= filters */
+function applicationFilter(query, base) {
+  const filter = live(base);
+  if (query.status && !base?.status) filter.status = query.status;
+  if (query.stage) filter.stage = query.stage;
+  if (query.reached) filter["stageHistory.to"] = query.reached;
+  if (query.department) filter.department = departmentCode(query.department);
+  if (query.assignedTo) filter.assignedTo = query.assignedTo;
+  return withDateRange(filter, "submittedAt", query);
+}
 
-/* Decide on an application */
-app.post("/applications/:id/decision", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { decision, reason } = req.body;
+async function userHasDepartment(email) {
+  const apps = await Applications.find(live({
+    email,
+    status: "accepted",
+  })).toArray();
+  return apps.length > 0;
+}
 
-    // Validate input
-    if (!["accepted", "denied"].includes(decision)) {
-      return res.status(400).json({ error: "Invalid decision type" });
-    }
+/* ===========================
+   PAGINATED LISTS
+   =========================== */
 
-    // Find application
-    const appDoc = await Applications.findOne({ id: id });
-    if (!appDoc) {
-      return res.status(404).json({ error: "Application not found" });
-    }
+/*
+ * Adds ?from= / ?to= on `field` to `filter`. Most collections store
+ * timestamps as ISO strings (which compare in date order); pass
+ * { dates: true } where they are real Dates.
+ */
+function withDateRange(filter, field, { from, to }, { dates = false } = {}) {
+  if (!from && !to) return filter;
+  const stored = (d) => (dates ? d : d.toISOString());
+
+  filter[field] = {};
+  if (from) filter[field].$gte = stored(from);
+  if (to) filter[field].$lte = stored(to);
+  return filter;
+}
 
-    // Update application
-    await Applications.updateOne(
-      { id: id },
-      {
-        $set: {
-          status: decision,
-          decisionReason: reason || null,
-          decisionDate: new Date(),
-        },
-      }
-    );
+/* paginate() options from a validated list query */
+function pageOptions(query) {
+  const { sort, order, limit, cursor } = query;
+  return { sort, order, limit, cursor };
+}
 
-    res.json({ message: `Application ${decision} successfully.` });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to update application decision" });
+/* A page as the response, or the { status, error } paginate() returned */
+function sendPage(res, page) {
+  if (page.error) {
+    const { status, ...body } = page;
+    return res.status(status).json(body);
   }
-});
-
+  return res.json(page);
+}
 
-/* Get all applications for a specific user by email */
-app.get("/applications/user/:email", async (req, res) => {
-  try {
-    const email = decodeURIComponent(req.params.email);
-    const apps = await Applications.find({ email }).sort({ submittedAt: -1 }).toArray();
-    res.json(apps);
-  } catch (err) {
-    console.error("APPLICATION FETCH ERROR:", err);
-    res.status(500).json({ error: "Failed to fetch applications" });
+/* Cursors need an `id` on every item — gallery uploads and lockouts didn't always get one */
+async function backfillIds(collection, label) {
+  const missing = await collection.find({ id: { $exists: false } }, { projection: { _id: 1 } }).toArray();
+  for (const { _id } of missing) {
+    await collection.updateOne({ _id }, { $set: { id: crypto.randomUUID() } });
   }
-});
+  if (missing.length) console.log(`🛠 Gave ${missing.length} ${label} an id`);
+}
 
 /* ===========================
-   APPLICATION FILTER ROUTES
+   FORUM CATEGORIES
    =========================== */
 
-/* Get ONLY pending apps */
-app.get("/applications/pending", async (req, res) => {
-  try {
-    const apps = await Applications.find({ status: "pending" })
-      .sort({ submittedAt: -1 })
-      .toArray();
+/* First boot: default categories, plus one for every category name already used by a thread */
+async function seedCategories() {
+  const now = new Date();
 
-    res.json(apps);
-  } catch (err) {
-    res.status(500).json({ error: "Failed to fetch pending applications" });
+  if ((await Categories.countDocuments()) === 0) {
+    await Categories.insertMany(
+      DEFAULT_CATEGORIES.map((c) => ({ ...c, locked: false, createdAt: now, updatedAt: now }))
+    );
+    console.log("🌱 Seeded default forum categories");
   }
-});
 
-/* Get ONLY previous (accepted/denied) apps */
-app.get("/applications/history", async (req, res) => {
-  try {
-    const apps = await Applications.find({ status: { $ne: "pending" } })
-      .sort({ submittedAt: -1 })
-      .toArray();
+  // old threads could use any text ("Off Topic") — rewrite it to the slug, keeping the original
+  for (const raw of await Threads.distinct("category")) {
+    if (typeof raw !== "string") continue;
+    const slug = slugify(raw) || "uncategorized";
+    if (slug === raw) continue;
 
-    res.json(apps);
-  } catch (err) {
-    res.status(500).json({ error: "Failed to fetch application history" });
+    const r = await Threads.updateMany(
+      { category: raw },
+      { $set: { category: slug, categoryLegacy: raw } }
+    );
+    console.log(`🛠 Thread category "${raw}" → "${slug}" (${r.modifiedCount} threads)`);
   }
-});
 
-/* ===============================================
-   GET APPLICATIONS BY USER EMAIL
-   Used by forums + profile pages
-   =============================================== */
-app.get("/applications/user/:email", async (req, res) => {
-  try {
-    const email = decodeURIComponent(req.params.email).toLowerCase();
-    const apps = await Applications.find({ email }).sort({ submittedAt: -1 }).toArray();
-    res.json(apps);
-  } catch (err) {
-    console.error("User application lookup failed:", err);
-    res.status(500).json({ error: "Lookup failed" });
+  const known = await Categories.distinct("slug");
+  const used = (await Threads.distinct("category")).filter((slug) => slug && !known.includes(slug));
+
+  for (const [i, slug] of used.entries()) {
+    await Categories.insertOne({
+      slug,
+      name: nameFromSlug(slug),
+      description: "",
+      order: known.length + i,
+      locked: false,
+      permissions: DEFAULT_PERMISSIONS,
+      createdAt: now,
+      updatedAt: now,
+    });
   }
-});
 
+  if (used.length) console.log(`🛠 Created categories for ${used.length} legacy thread categories`);
+}
 
-/* ===========================
-   DELETE APPLICATION (STAFF ONLY)
-   =========================== */
-app.delete("/applications/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
+/* Threads from before activity tracking sort by their creation time */
+async function backfillThreadActivity() {
+  const r = await Threads.updateMany({ lastActivityAt: { $exists: false } }, [
+    { $set: { lastActivityAt: "$createdAt" } },
+  ]);
+  if (r.modifiedCount) console.log(`🛠 Backfilled activity on ${r.modifiedCount} threads`);
+}
 
-    // Ensure staff is performing this action
-    const staff = await Users.findOne({ id: req.body.userId });
-    if (!staff || !isStaff(staff)) {
-      return res.status(403).json({ error: "Staff only" });
-    }
+async function loadCategories() {
+  const categories = await Categories.find({}, { projection: { _id: 0 } })
+    .sort({ order: 1, name: 1 })
+    .toArray();
+  categoryIndex = new Map(categories.map((c) => [c.slug, c]));
+}
 
-    const result = await Applications.deleteOne({ id });
+function findCategory(slug) {
+  return categoryIndex.get(String(slug || "").trim().toLowerCase()) || null;
+}
 
-    if (!result.deletedCount) {
-      return res.status(404).json({ error: "Application not found" });
-    }
+/* Department codes a user has been accepted into */
+async function acceptedDepartments(email) {
+  const codes = await Applications.distinct("department", live({ email, status: "accepted" }));
+  return [...new Set(codes.map(departmentCode))];
+}
 
-    res.json({ success: true });
-  } catch (err) {
-    console.error("❌ APP DELETE ERROR:", err);
-    res.status(500).json({ error: "Failed to delete application" });
-  }
-});
+/* Who is looking at the forum — built once per request */
+async function forumViewer(user) {
+  if (!user) return { user: null, staff: false, departments: [] };
+  return { user, staff: isStaff(user), departments: await acceptedDepartments(user.email) };
+}
 
-/* ===========================
-   APPLICATIONS – REQUIRED ENDPOINT
-   =========================== */
+/*
+ * read / post / reply check for one category. Moderators can read
+ * everything and are the only ones who can post in locked categories.
+ */
+function canInCategory(viewer, category, action) {
+  const moderator = hasPermission(viewer.user, "forum.moderate");
+  if (action === "read" && moderator) return true;
+  if (action !== "read" && category.locked && !moderator) return false;
+  if (action !== "read" && !canInCategory(viewer, category, "read")) return false;
+  return ruleAllows(category.permissions?.[action], viewer);
+}
+
+function publicCategory(category, viewer) {
+  return {
+    slug: category.slug,
+    name: category.name,
+    description: category.description || "",
+    order: category.order,
+    locked: !!category.locked,
+    canPost: canInCategory(viewer, category, "post"),
+    canReply: canInCategory(viewer, category, "reply"),
+  };
+}
+
+/* Moderators can act on any post; authors only on their own */
+function canEditForumContent(user, doc) {
+  return doc.authorId === user.id || hasPermission(user, "forum.moderate");
+}
+
+/*
+ * Why `user` can't edit `doc` right now, or null. Authors keep the
+ * rights they posted with: the category rule and the thread lock apply.
+ */
+async function forumEditBlock(user, kind, doc, thread) {
+  if (!canEditForumContent(user, doc))
+    return { status: 403, error: "You can only edit your own posts" };
+  if (hasPermission(user, "forum.moderate")) return null;
+
+  const category = findCategory(thread.category);
+  if (!category || !canInCategory(await forumViewer(user), category, kind === "thread" ? "post" : "reply"))
+    return { status: 403, error: "You can no longer post in this category" };
+  if (thread.locked)
+    return { status: 403, error: "This thread is locked" };
+  return null;
+}
+
+/*
+ * Save an edit to a thread or reply. The version being replaced is
+ * copied to forumRevisions first — the unique (content, version) index
+ * also turns two simultaneous edits into one success and one conflict.
+ */
+async function reviseForumContent(req, kind, doc, { changes, reason = null }) {
+  const collection = kind === "thread" ? Threads : Replies;
+  const version = doc.revision || 1;
 
-app.get("/applications", async (req, res) => {
   try {
-    const apps = await Applications.find({})
-      .sort({ submittedAt: -1 })
-      .toArray();
-    res.json(apps);
+    await Revisions.insertOne({
+      id: crypto.randomUUID(),
+      contentType: kind,
+      contentId: doc.id,
+      version,
+      title: kind === "thread" ? doc.title : null,
+      body: doc.body,
+      editedBy: doc.editedBy || doc.authorId,
+      editedAt: doc.editedAt || doc.createdAt,
+      reason: doc.editReason || null,
+    });
   } catch (err) {
-    console.error("❌ Failed to load applications:", err);
-    res.status(500).json({ error: "Failed to load applications" });
+    if (err.code === 11000)
+      return { status: 409, error: "This post was edited by someone else, reload and try again" };
+    throw err;
   }
-});
 
+  const updated = await collection.findOneAndUpdate(
+    { id: doc.id },
+    {
+      $set: {
+        ...changes,
+        revision: version + 1,
+        editedAt: new Date().toISOString(),
+        editedBy: req.user.id,
+        editReason: reason,
+      },
+    },
+    { returnDocument: "after", projection: { _id: 0 } }
+  );
+
+  await recordAudit(req, {
+    action: `${kind}.edit`,
+    targetType: kind,
+    targetId: doc.id,
+    before: doc,
+    after: updated,
+    reason,
+  });
+
+  return { [kind]: updated };
+}
+
+/* Every version of a thread or reply, oldest first, ending with the current one */
+async function forumRevisionHistory(kind, doc) {
+  const past = await Revisions.find(
+    { contentType: kind, contentId: doc.id },
+    { projection: { _id: 0, id: 0, contentType: 0, contentId: 0 } }
+  )
+    .sort({ version: 1 })
+    .toArray();
+
+  const current = {
+    version: doc.revision || 1,
+    title: kind === "thread" ? doc.title : null,
+    body: doc.body,
+    editedBy: doc.editedBy || doc.authorId,
+    editedAt: doc.editedAt || doc.createdAt,
+    reason: doc.editReason || null,
+  };
+
+  return [...past, current];
+}
 
 /* ===========================
-   USERS
+   FORUM REACTIONS & NOTIFICATIONS
    =========================== */
 
-app.post("/users/register", async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
+/*
+ * Reaction counts for everything matching `filter` (e.g. { threadId }).
+ * Returns (contentType, contentId) → summary, with `reacted` set for viewerId.
+ */
+async function reactionCounts(filter, viewerId) {
+  const rows = await Reactions.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: { contentType: "$contentType", contentId: "$contentId", reaction: "$reaction" },
+        count: { $sum: 1 },
+        reacted: { $max: { $eq: ["$userId", viewerId || null] } },
+      },
+    },
+  ]).toArray();
+
+  const byContent = new Map();
+  for (const { _id, count, reacted } of rows) {
+    const key = `${_id.contentType}:${_id.contentId}`;
+    if (!byContent.has(key)) byContent.set(key, []);
+    byContent.get(key).push({ reaction: _id.reaction, count, reacted });
+  }
 
-    // =========================
-    // VALIDATION
-    // =========================
-    if (!username || username.length < 3)
-      return res.status(400).json({ error: "Bad username" });
-    if (!email || !email.includes("@"))
-      return res.status(400).json({ error: "Bad email" });
-    if (!password || password.length < 6)
-      return res.status(400).json({ error: "Bad password" });
+  return (contentType, contentId) => reactionSummary(byContent.get(`${contentType}:${contentId}`));
+}
 
-    // =========================
-    // CHECK IF ALREADY A REAL USER
-    // =========================
-    const exists = await Users.findOne({ email });
-    if (exists)
-      return res.status(409).json({ error: "Email already registered" });
+/* Add the member's reaction, or take it back if it's already there */
+async function toggleReaction(user, contentType, doc, reaction) {
+  const key = { contentType, contentId: doc.id, userId: user.id, reaction };
+
+  let reacted = false;
+  const removed = await Reactions.deleteOne(key);
+  if (!removed.deletedCount) {
+    try {
+      await Reactions.insertOne({
+        ...key,
+        threadId: contentType === "thread" ? doc.id : doc.threadId,
+        createdAt: new Date(),
+      });
+    } catch (err) {
+      // a double click landed first — the reaction is there either way
+      if (err.code !== 11000) throw err;
+    }
+    reacted = true;
+  }
 
-    // =========================
-    // REMOVE ANY OLD PENDING ACCOUNT
-    // =========================
-    await PendingUsers.deleteMany({ email });
+  const counts = await reactionCounts({ contentType, contentId: doc.id }, user.id);
+  return { reacted, reactions: counts(contentType, doc.id) };
+}
+
+/* A live thread or reply the viewer can read, with its thread and category — or null */
+async function findReadableForumContent(kind, id, viewer) {
+  const doc =
+    kind === "thread"
+      ? await Threads.findOne(live({ id }), { projection: { _id: 0 } })
+      : await Replies.findOne(live({ id }), { projection: { _id: 0 } });
+  if (!doc) return null;
+
+  const thread = kind === "thread" ? doc : await Threads.findOne(live({ id: doc.threadId }));
+  const category = thread && findCategory(thread.category);
+  if (!category || !canInCategory(viewer, category, "read")) return null;
+
+  return { doc, thread, category };
+}
+
+/*
+ * Accounts @mentioned in `text` that can read `category` — the author and
+ * unknown names are skipped. Usernames match regardless of case.
+ */
+async function resolveMentions(text, author, category) {
+  const names = extractMentions(text);
+  if (!names.length) return [];
+
+  const users = await Users.find(
+    live({ username: { $in: names }, id: { $ne: author.id } }),
+    { projection: { _id: 0, id: 1, username: 1, role: 1, email: 1 }, collation: { locale: "en", strength: 2 } }
+  ).toArray();
+
+  const mentioned = [];
+  for (const user of users) {
+    if (canInCategory(await forumViewer(user), category, "read"))
+      mentioned.push({ id: user.id, username: user.username });
+  }
+  return mentioned;
+}
+
+/* Inbox entries for the members a new post concerns (one per member) */
+async function notifyForumPost(author, { thread, reply = null, mentions = [], quotedAuthorId = null }) {
+  const now = new Date();
+  const base = {
+    actor: { id: author.id, username: author.username },
+    thread: { id: thread.id, title: thread.title },
+    replyId: reply?.id || null,
+    excerpt: quoteExcerpt((reply || thread).body, 200),
+    createdAt: now,
+    readAt: null,
+  };
+
+  const notes = [];
+  if (quotedAuthorId && quotedAuthorId !== author.id)
+    notes.push({ ...base, id: crypto.randomUUID(), userId: quotedAuthorId, type: "quote" });
+
+  for (const user of mentions) {
+    if (notes.some((n) => n.userId === user.id)) continue;
+    notes.push({ ...base, id: crypto.randomUUID(), userId: user.id, type: "mention" });
+  }
+
+  if (notes.length) await Notifications.insertMany(notes);
+}
+
+/* ===========================
+   BANS
+   =========================== */
+
+/* Users banned before ban records existed get one from their flags */
+async function backfillLegacyBans() {
+  const users = await Users.find({ banned: true, activeBanId: { $exists: false } }).toArray();
+
+  for (const user of users) {
+    const ban = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      issuedBy: null,
+      reason: user.banReason || null,
+      evidence: [],
+      scope: "global",
+      createdAt: user.banDate ? new Date(user.banDate) : new Date(),
+      expiresAt: null,
+      liftedAt: null,
+      legacy: true,
+    };
+    await Bans.insertOne(ban);
+    await Users.updateOne({ id: user.id }, { $set: banStateFields(ban) });
+  }
+
+  if (users.length) console.log(`🛠 Created ban records for ${users.length} banned users`);
+}
+
+/* Recompute a user's effective ban and copy it onto the user document */
+async function refreshBanState(userId, { session } = {}) {
+  const bans = await Bans.find({ userId, liftedAt: null }, { session }).toArray();
+  const fields = banStateFields(effectiveBan(bans));
+  await Users.updateOne({ id: userId }, { $set: fields }, { session });
+  return fields;
+}
+
+/* Ban state of a loaded user — recomputed if their ban has run out */
+async function currentBanState(user) {
+  if (user.banned && user.banExpiresAt && new Date(user.banExpiresAt) <= new Date())
+    return refreshBanState(user.id);
+
+  return {
+    banned: !!user.banned,
+    banReason: user.banReason || null,
+    banDate: user.banDate || null,
+    banExpiresAt: user.banExpiresAt || null,
+    banScope: user.banned ? user.banScope || "global" : null,
+    activeBanId: user.activeBanId || null,
+  };
+}
+
+/* Ban / unban emails never block the moderation action */
+async function sendBanNotice(user, template, vars) {
+  try {
+    await queueTemplateEmail(
+      template,
+      { username: user.username, ...vars },
+      { to: user.email, name: user.username, locale: user.locale, meta: { userId: user.id } }
+    );
+  } catch (err) {
+    console.error(`❌ ${template.toUpperCase()} EMAIL QUEUE ERROR:`, err);
+  }
+}
+
+/*
+ * Lift a user's active bans (or only `banId`). Returns how many were
+ * lifted and the resulting ban state. Pass `session` to run inside a
+ * transaction.
+ */
+async function liftBans(req, userId, { banId = null, reason = null, appealId = null, session } = {}) {
+  const filter = { userId, liftedAt: null };
+  if (banId) filter.id = banId;
+
+  const r = await Bans.updateMany(filter, {
+    $set: {
+      liftedAt: new Date(),
+      liftedBy: req.user ? { id: req.user.id, username: req.user.username } : null,
+      liftReason: reason,
+      appealId,
+    },
+  }, { session });
+
+  const state = await refreshBanState(userId, { session });
+  return { lifted: r.modifiedCount, state };
+}
+
+/*
+ * Record a new ban, update the user's ban state, audit it and email
+ * the user. `escalation` is set when the strike policy issued it.
+ */
+async function issueBan(req, target, { reason, evidence = [], scope = "global", expiresAt = null, escalation = null }) {
+  const ban = {
+    id: crypto.randomUUID(),
+    userId: target.id,
+    issuedBy: { id: req.user.id, username: req.user.username, role: req.user.role },
+    reason,
+    evidence,
+    scope,
+    createdAt: new Date(),
+    expiresAt,
+    liftedAt: null,
+    escalation,
+  };
+
+  await Bans.insertOne(ban);
+  const state = await refreshBanState(target.id);
+
+  await recordAudit(req, {
+    action: "user.ban",
+    targetType: "user",
+    targetId: target.id,
+    before: target,
+    after: { ...target, ...state },
+    reason,
+    meta: { banId: ban.id, scope, expiresAt, evidence, escalation },
+  });
+
+  await sendBanNotice(target, "ban", { reason, expiresAt });
+
+  return { ban, state };
+}
+
+/* Audit entries written by background jobs (actor: system) */
+function systemRequest() {
+  return { headers: {}, ip: null, user: null };
+}
+
+/* Lift timed bans whose expiry has passed — each one claimed atomically */
+async function sweepExpiredBans() {
+  const now = new Date();
+  let ban;
+
+  while (
+    (ban = await Bans.findOneAndUpdate(
+      { liftedAt: null, expiresAt: { $ne: null, $lte: now } },
+      { $set: { liftedAt: now, liftedBy: null, liftReason: "expired" } },
+      { returnDocument: "after" }
+    ))
+  ) {
+    const state = await refreshBanState(ban.userId);
+
+    await recordAudit(systemRequest(), {
+      action: "ban.expire",
+      targetType: "user",
+      targetId: ban.userId,
+      meta: { banId: ban.id },
+    });
+
+    if (!state.banned) {
+      const user = await Users.findOne({ id: ban.userId });
+      if (user) await sendBanNotice(user, "unban", { expired: true });
+    }
+  }
+}
+
+function startBanSweeper() {
+  const run = () =>
+    sweepExpiredBans().catch((err) => console.error("❌ BAN SWEEP ERROR:", err));
+  setInterval(run, BAN_SWEEP_INTERVAL_MS).unref();
+  run();
+}
+
+/* ===========================
+   TRASH (SOFT DELETION)
+   =========================== */
+
+function trashCollection(type) {
+  return { thread: Threads, reply: Replies, application: Applications, user: Users }[type];
+}
+
+/*
+ * Move a document to the trash. Threads take their replies along and
+ * users their applications (marked deletedWith), so restoring brings
+ * back exactly what went with them. Returns false if already trashed.
+ */
+async function moveToTrash(req, type, doc, reason = null) {
+  const stamp = deletionStamp(req.user, reason);
+  const r = await trashCollection(type).updateOne(live({ id: doc.id }), { $set: stamp });
+  if (!r.modifiedCount) return false;
+
+  if (type === "thread")
+    await Replies.updateMany(live({ threadId: doc.id }), { $set: { ...stamp, deletedWith: doc.id } });
+
+  if (type === "reply")
+    await Threads.updateOne({ id: doc.threadId }, { $inc: { replies: -1 } });
+
+  if (type === "user") {
+    await Applications.updateMany(live({ email: doc.email }), { $set: { ...stamp, deletedWith: doc.id } });
+    // a deleted account is signed out everywhere
+    await Sessions.updateMany({ userId: doc.id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    await PanelSessions.updateMany({ userId: doc.id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  }
+
+  return true;
+}
+
+/* Why `doc` can't come out of the trash on its own, or null */
+async function restoreBlock(type, doc) {
+  if (doc.deletedWith)
+    return {
+      status: 409,
+      error: `This was deleted along with ${type === "reply" ? "its thread" : "its user"} — restore that instead`,
+      deletedWith: doc.deletedWith,
+    };
+
+  if (type === "reply" && !(await Threads.findOne(live({ id: doc.threadId }))))
+    return { status: 409, error: "The thread this reply belongs to is in the trash" };
+
+  return null;
+}
+
+/* Take a document (and whatever went with it) out of the trash */
+async function restoreFromTrash(type, doc, { session } = {}) {
+  const r = await trashCollection(type).updateOne(
+    { id: doc.id, deletedAt: { $ne: null } },
+    { $set: restoreStamp() },
+    { session }
+  );
+  if (!r.modifiedCount) return false;
+
+  if (type === "thread")
+    await Replies.updateMany({ deletedWith: doc.id }, { $set: restoreStamp() }, { session });
+
+  if (type === "reply")
+    await Threads.updateOne({ id: doc.threadId }, { $inc: { replies: 1 } }, { session });
+
+  if (type === "user")
+    await Applications.updateMany({ deletedWith: doc.id }, { $set: restoreStamp() }, { session });
+
+  return true;
+}
+
+async function getTrashRetentionDays() {
+  const doc = await Settings.findOne({ _id: "trashRetention" });
+  return doc?.days || DEFAULT_RETENTION_DAYS;
+}
+
+/* Permanently remove everything that has been in the trash longer than the retention period */
+async function purgeTrash() {
+  const days = await getTrashRetentionDays();
+  const cutoff = purgeCutoff(days);
+  const purged = {};
+
+  for (const type of Object.keys(TRASH_TYPES)) {
+    const collection = trashCollection(type);
+    const ids = await collection.distinct("id", { deletedAt: { $ne: null, $lt: cutoff } });
+    if (!ids.length) continue;
+
+    await collection.deleteMany({ id: { $in: ids }, deletedAt: { $ne: null, $lt: cutoff } });
+    if (type === "thread" || type === "reply") {
+      await Revisions.deleteMany({ contentType: type, contentId: { $in: ids } });
+      await Reactions.deleteMany({ contentType: type, contentId: { $in: ids } });
+    }
+    if (type === "thread") await Notifications.deleteMany({ "thread.id": { $in: ids } });
+    if (type === "reply") await Notifications.deleteMany({ replyId: { $in: ids } });
+    if (type === "user") {
+      // everything else keyed to the account goes with it — the audit log
+      // keeps the record of what happened to it
+      for (const owned of [Sessions, PanelSessions, PasswordResets, Bans, Sanctions, Appeals, Reactions, Notifications]) {
+        await owned.deleteMany({ userId: { $in: ids } });
+      }
+    }
+    purged[type] = ids.length;
+  }
+
+  if (!Object.keys(purged).length) return;
+
+  await recordAudit(systemRequest(), {
+    action: "trash.purge",
+    targetType: "trash",
+    targetId: null,
+    reason: `In the trash for more than ${days} days`,
+    meta: { purged, cutoff },
+  });
+  console.log("🗑 Purged trash:", purged);
+}
+
+function startTrashPurger() {
+  const run = () =>
+    purgeTrash().catch((err) => console.error("❌ TRASH PURGE ERROR:", err));
+  setInterval(run, TRASH_PURGE_INTERVAL_MS).unref();
+  run();
+}
+
+/* ===========================
+   SEARCH
+   =========================== */
+
+/*
+ * Per type: what the caller may find (ctx carries their readable
+ * categories), extra stages to decide that, what a hit returns, and
+ * which long fields are replaced by their snippets.
+ */
+const SEARCH_SOURCES = {
+  threads: {
+    collection: () => Threads,
+    filter: (ctx) => live({ category: { $in: ctx.categories } }),
+    projection: () => ({
+      _id: 0,
+      id: 1,
+      title: 1,
+      body: 1,
+      category: 1,
+      authorId: 1,
+      createdAt: 1,
+      replies: 1,
+      pinned: 1,
+      locked: 1,
+    }),
+    omit: ["body"],
+  },
+  replies: {
+    collection: () => Replies,
+    filter: () => live(),
+    // replies only know their thread — its category and state decide
+    stages: (ctx) => [
+      { $lookup: { from: "threads", localField: "threadId", foreignField: "id", as: "thread" } },
+      { $unwind: "$thread" },
+      { $match: { "thread.deletedAt": null, "thread.category": { $in: ctx.categories } } },
+    ],
+    projection: () => ({
+      _id: 0,
+      id: 1,
+      threadId: 1,
+      body: 1,
+      authorId: 1,
+      createdAt: 1,
+      "thread.id": 1,
+      "thread.title": 1,
+      "thread.category": 1,
+    }),
+    omit: ["body"],
+  },
+  users: {
+    collection: () => Users,
+    filter: () => live(),
+    projection: (ctx) => (ctx.staff ? USER_STAFF_PROJECTION : USER_PUBLIC_PROJECTION),
+    omit: [],
+  },
+  applications: {
+    collection: () => Applications,
+    filter: () => live(),
+    projection: () => ({ ...APPLICATION_LIST_PROJECTION, searchText: 1 }),
+    omit: ["reason", "answers", "searchText"],
+  },
+};
+
+/* Applications from before searchText get it from their answers (or the old reason box) */
+async function backfillApplicationSearchText() {
+  const missing = await Applications.find(
+    { searchText: { $exists: false } },
+    { projection: { _id: 1, answers: 1, reason: 1 } }
+  ).toArray();
+
+  for (const { _id, answers, reason } of missing) {
+    await Applications.updateOne({ _id }, { $set: { searchText: answersText(answers || { reason }) } });
+  }
+  if (missing.length) console.log(`🛠 Indexed ${missing.length} applications for search`);
+}
+
+/*
+ * One page of `type` hits for `q`, best match first. Returns
+ * { items, total, limit, nextCursor } like paginate(), keyed on the
+ * text score, or { status, error } for a cursor that can't be read.
+ */
+async function searchPage(type, q, ctx, { limit, cursor }) {
+  const source = SEARCH_SOURCES[type];
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !position) return { status: 400, error: "Invalid cursor" };
+
+  const [{ items: docs, total }] = await source.collection().aggregate([
+    { $match: { $text: { $search: q }, ...source.filter(ctx) } },
+    { $addFields: { score: { $meta: "textScore" } } },
+    ...(source.stages ? source.stages(ctx) : []),
+    {
+      $facet: {
+        items: [
+          ...(position ? [{ $match: afterCursor("score", -1, position) }] : []),
+          { $sort: { score: -1, id: -1 } },
+          { $limit: limit + 1 },
+          { $project: { ...source.projection(ctx), score: 1 } },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]).toArray();
+
+  const page = docs.slice(0, limit);
+  const nextCursor = docs.length > limit ? encodeCursor(page[page.length - 1], "score") : null;
+
+  const items = page.map((doc) => {
+    const snippets = {};
+    for (const field of SEARCH_TYPES[type].fields) snippets[field] = snippet(doc[field], ctx.terms);
+
+    const item = { ...doc, snippets };
+    for (const field of source.omit) delete item[field];
+    return item;
+  });
+
+  return { items, total: total[0]?.count || 0, limit, nextCursor };
+}
+
+/* ===========================
+   SANCTIONS (WARNINGS / STRIKES / RESTRICTIONS)
+   =========================== */
+
+function activeSanctionFilter(extra) {
+  return {
+    ...extra,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  };
+}
+
+/* The old `restricted` flag becomes a restriction on every scope */
+async function backfillLegacyRestrictions() {
+  const users = await Users.find({ restricted: true, restrictions: { $exists: false } }).toArray();
+
+  for (const user of users) {
+    await Sanctions.insertOne({
+      id: crypto.randomUUID(),
+      userId: user.id,
+      type: "restriction",
+      scopes: Object.keys(RESTRICTION_SCOPES),
+      reason: null,
+      issuedBy: null,
+      source: "legacy",
+      createdAt: new Date(),
+      expiresAt: null,
+      revokedAt: null,
+    });
+    await refreshRestrictionState(user.id);
+  }
+
+  if (users.length) console.log(`🛠 Created restrictions for ${users.length} restricted users`);
+}
+
+async function activeRestrictionScopes(userId, { session } = {}) {
+  const restrictions = await Sanctions.find(
+    activeSanctionFilter({ userId, type: "restriction" }),
+    { projection: { scopes: 1 }, session }
+  ).toArray();
+  return [...new Set(restrictions.flatMap((r) => r.scopes))];
+}
+
+/* Keep `restricted` / `restrictions` on the user in sync for profile pages */
+async function refreshRestrictionState(userId, { session } = {}) {
+  const scopes = await activeRestrictionScopes(userId, { session });
+  await Users.updateOne(
+    { id: userId },
+    { $set: { restricted: scopes.length > 0, restrictions: scopes } },
+    { session }
+  );
+  return scopes;
+}
+
+async function getEscalationPolicy() {
+  const doc = await Settings.findOne({ _id: "escalationPolicy" });
+  return doc?.policy || DEFAULT_ESCALATION_POLICY;
+}
+
+/*
+ * Issue a warning, strike or restriction. A strike that brings the user
+ * to a policy threshold triggers the matching escalations — issued in
+ * the name of the staff member who gave the strike.
+ */
+async function issueSanction(req, target, { type, reason, scopes = [], expiresAt, source = "manual", triggeredBy = null }) {
+  const now = new Date();
+  const sanction = {
+    id: crypto.randomUUID(),
+    userId: target.id,
+    type,
+    scopes: type === "restriction" ? scopes : [],
+    reason,
+    issuedBy: { id: req.user.id, username: req.user.username, role: req.user.role },
+    source,
+    triggeredBy,
+    createdAt: now,
+    expiresAt:
+      expiresAt !== undefined
+        ? expiresAt
+        : DEFAULT_DURATIONS_MS[type] && new Date(now.getTime() + DEFAULT_DURATIONS_MS[type]),
+    revokedAt: null,
+  };
+
+  await Sanctions.insertOne(sanction);
+  if (type === "restriction") await refreshRestrictionState(target.id);
+
+  await recordAudit(req, {
+    action: `sanction.${type}`,
+    targetType: "user",
+    targetId: target.id,
+    reason,
+    meta: { sanctionId: sanction.id, scopes: sanction.scopes, expiresAt: sanction.expiresAt, source },
+  });
+
+  const escalations = [];
+  if (type !== "strike") return { sanction, escalations };
+
+  // oldest first, so the Nth entry is the strike that reached N
+  const active = await Sanctions.find(
+    activeSanctionFilter({ userId: target.id, type: "strike" }),
+    { projection: { _id: 0, id: 1, escalatedRules: 1 } }
+  )
+    .sort({ createdAt: 1, id: 1 })
+    .toArray();
+  const strikes = active.length;
+  const applied = active.flatMap((s) => s.escalatedRules || []);
+
+  for (const { rule, key } of escalationFor(await getEscalationPolicy(), strikes, applied)) {
+    // Record the rule on the strike that reached its threshold. Strikes
+    // issued at the same moment race for that same document, so only one
+    // of them applies the rule.
+    const claimed = await Sanctions.updateOne(
+      { id: active[rule.strikes - 1].id, escalatedRules: { $ne: key } },
+      { $addToSet: { escalatedRules: key } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const ruleExpiry = rule.durationHours ? new Date(now.getTime() + rule.durationHours * HOUR) : null;
+    const autoReason = `Automatic: ${strikes} active strikes`;
+
+    if (rule.action === "ban") {
+      const { ban } = await issueBan(req, target, {
+        reason: autoReason,
+        expiresAt: ruleExpiry,
+        escalation: { strikes, sanctionId: sanction.id, rule: key },
+      });
+      escalations.push({ action: "ban", banId: ban.id, expiresAt: ruleExpiry });
+    } else {
+      const { sanction: restriction } = await issueSanction(req, target, {
+        type: "restriction",
+        reason: autoReason,
+        scopes: rule.scopes,
+        expiresAt: ruleExpiry,
+        source: "escalation",
+        triggeredBy: sanction.id,
+      });
+      escalations.push({ action: "restrict", sanctionId: restriction.id, scopes: rule.scopes, expiresAt: ruleExpiry });
+    }
+  }
+
+  return { sanction, escalations };
+}
+
+/* Blocks restricted users from one scope (forum / gallery / apply) */
+function requireUnrestricted(scope) {
+  return async (req, res, next) => {
+    try {
+      const restriction = await Sanctions.findOne(
+        activeSanctionFilter({ userId: req.user.id, type: "restriction", scopes: scope }),
+        { sort: { expiresAt: -1 } }
+      );
+      if (!restriction) return next();
+
+      res.status(403).json({
+        error: `You are restricted from this: ${RESTRICTION_SCOPES[scope]}`,
+        code: "RESTRICTED",
+        restriction: {
+          // what the user quotes when appealing it
+          id: restriction.id,
+          scope,
+          reason: restriction.reason,
+          expiresAt: restriction.expiresAt,
+        },
+      });
+    } catch (err) {
+      console.error("❌ RESTRICTION CHECK ERROR:", err);
+      res.status(500).json({ error: "Failed to check restrictions" });
+    }
+  };
+}
+
+/* ===========================
+   APPEALS
+   =========================== */
+
+/* Appeals filed before typed appeals were all ban appeals */
+async function backfillAppealTypes() {
+  const r = await Appeals.updateMany({ type: { $exists: false } }, [
+    {
+      $set: {
+        type: "ban",
+        reviewer: APPEAL_TYPES.ban.reviewer,
+        targetId: { $ifNull: ["$banId", null] },
+        target: { $ifNull: ["$ban", null] },
+      },
+    },
+    { $unset: ["banId", "ban"] },
+  ]);
+
+  if (r.modifiedCount) console.log(`🛠 Typed ${r.modifiedCount} legacy appeals as ban appeals`);
+}
+
+/* A thread / reply by `userId` sitting in the trash → { kind, doc } */
+async function findTrashedContent(userId, contentId) {
+  for (const kind of ["thread", "reply"]) {
+    const doc = await trashCollection(kind).findOne({
+      id: contentId,
+      authorId: userId,
+      deletedAt: { $ne: null },
+    });
+    if (doc) return { kind, doc };
+  }
+  return null;
+}
+
+/* The post as stored, whether live or in the trash */
+async function findStoredContent(kind, contentId) {
+  return trashCollection(kind).findOne({ id: contentId });
+}
+
+/* Removal audit entry for a thread / reply written by `userId` (hard deletes from before the trash) */
+async function findContentRemoval(userId, contentId) {
+  return AuditLog.findOne(
+    {
+      "target.type": { $in: ["thread", "reply"] },
+      "target.id": contentId,
+      action: { $in: ["thread.delete", "reply.delete"] },
+      "snapshot.authorId": userId,
+    },
+    { sort: { createdAt: -1 } }
+  );
+}
+
+/*
+ * What each appeal type contests and what accepting it does.
+ *   load(user, targetId)   → { target, snapshot, actedAt, actorId, department? }
+ *                             or { status, error }
+ *   check(appeal)          → { status, error } when it can't be accepted (optional)
+ *   accept(req, appeal, session) → outcome stored on the appeal
+ */
+const APPEAL_SUBJECTS = {
+  ban: {
+    async load(user, targetId) {
+      const state = await currentBanState(user);
+      if (!state.banned) return { status: 403, error: "User is not banned." };
+
+      // Defaults to the ban that currently defines the account state
+      const ban = await Bans.findOne({ id: targetId || state.activeBanId, userId: user.id, liftedAt: null });
+      if (!isBanActive(ban)) return { status: 404, error: "No active ban with that id." };
+
+      return {
+        target: ban,
+        snapshot: { reason: ban.reason, scope: ban.scope, createdAt: ban.createdAt, expiresAt: ban.expiresAt },
+        actedAt: ban.createdAt,
+        actorId: ban.issuedBy?.id || null,
+      };
+    },
+    async accept(req, appeal, session) {
+      const { lifted, state } = await liftBans(req, appeal.userId, {
+        // appeals from before ban records lift every active ban
+        banId: appeal.targetId || null,
+        reason: "Appeal accepted",
+        appealId: appeal.id,
+        session,
+      });
+      return { liftedBans: lifted, banned: state.banned };
+    },
+  },
+
+  restriction: {
+    async load(user, targetId) {
+      const restriction = await Sanctions.findOne(
+        activeSanctionFilter({ id: targetId, userId: user.id, type: "restriction" })
+      );
+      if (!restriction) return { status: 404, error: "No active restriction with that id." };
+
+      return {
+        target: restriction,
+        snapshot: {
+          reason: restriction.reason,
+          scopes: restriction.scopes,
+          createdAt: restriction.createdAt,
+          expiresAt: restriction.expiresAt,
+        },
+        actedAt: restriction.createdAt,
+        actorId: restriction.issuedBy?.id || null,
+      };
+    },
+    async accept(req, appeal, session) {
+      const r = await Sanctions.updateOne(
+        { id: appeal.targetId, revokedAt: null },
+        {
+          $set: {
+            revokedAt: new Date(),
+            revokedBy: req.user.id,
+            revokeReason: "Appeal accepted",
+            appealId: appeal.id,
+          },
+        },
+        { session }
+      );
+      const scopes = await refreshRestrictionState(appeal.userId, { session });
+      return { revoked: r.modifiedCount > 0, restrictions: scopes };
+    },
+  },
+
+  application: {
+    async load(user, targetId) {
+      const appDoc = await Applications.findOne(live({ id: targetId, email: user.email }));
+      if (!appDoc) return { status: 404, error: "Application not found." };
+      if (appDoc.status !== "denied")
+        return { status: 409, error: "Only denied applications can be appealed." };
+
+      return {
+        target: appDoc,
+        snapshot: {
+          department: appDoc.department,
+          decisionReason: appDoc.decisionReason || null,
+          decisionDate: appDoc.decisionDate || null,
+        },
+        actedAt: appDoc.decisionDate,
+        actorId: appDoc.decidedBy || null,
+        department: appDoc.department,
+      };
+    },
+    async check(appeal) {
+      const appDoc = await Applications.findOne(live({ id: appeal.targetId }));
+      if (!appDoc) return { status: 404, error: "The application no longer exists." };
+      if (appDoc.stage !== "denied")
+        return { status: 409, error: "The application is no longer denied." };
+      return null;
+    },
+    async accept(req, appeal, session) {
+      const at = new Date();
+      // Back in review — the next decision sends a fresh decision email
+      await Applications.updateOne(
+        { id: appeal.targetId, stage: "denied" },
+        {
+          $set: {
+            stage: "under_review",
+            status: statusForStage("under_review"),
+            stageUpdatedAt: at,
+            decisionReason: null,
+            decisionDate: null,
+            decidedBy: null,
+            decisionEmail: null,
+            reopenedByAppeal: appeal.id,
+          },
+          $push: {
+            stageHistory: { from: "denied", to: "under_review", at, by: req.user.id, note: "Appeal accepted" },
+          },
+        },
+        { session }
+      );
+      return { reopened: true };
+    },
+  },
+
+  content_removal: {
+    async load(user, targetId) {
+      const trashed = await findTrashedContent(user.id, targetId);
+      if (trashed) {
+        const { kind, doc } = trashed;
+        if (doc.deletedWith)
+          return { status: 409, error: "This reply was removed with its thread — appeal the thread instead." };
+
+        return {
+          target: doc,
+          snapshot: {
+            kind,
+            title: doc.title || null,
+            body: doc.body,
+            removedAt: doc.deletedAt,
+            removalReason: doc.deleteReason || null,
+          },
+          actedAt: doc.deletedAt,
+          actorId: doc.deletedBy?.id || null,
+        };
+      }
+
+      // removed before the trash existed — only the audit log has it
+      const removal = await findContentRemoval(user.id, targetId);
+      if (!removal || (await findStoredContent(removal.target.type, targetId)))
+        return { status: 404, error: "No removed post of yours with that id." };
+
+      return {
+        target: removal.snapshot,
+        snapshot: {
+          kind: removal.target.type,
+          title: removal.snapshot.title || null,
+          body: removal.snapshot.body,
+          removedAt: removal.createdAt,
+          removalReason: removal.reason,
+        },
+        actedAt: removal.createdAt,
+        actorId: removal.actor?.id || null,
+      };
+    },
+    async check(appeal) {
+      const trashed = await findTrashedContent(appeal.userId, appeal.targetId);
+      if (trashed) return restoreBlock(trashed.kind, trashed.doc);
+
+      const removal = await findContentRemoval(appeal.userId, appeal.targetId);
+      if (!removal) return { status: 404, error: "The removal record no longer exists." };
+
+      if (await findStoredContent(removal.target.type, appeal.targetId))
+        return { status: 409, error: "The post has already been restored." };
+
+      if (removal.target.type === "reply" && !(await Threads.findOne(live({ id: removal.snapshot.threadId }))))
+        return { status: 409, error: "The thread this reply belonged to has been removed." };
+
+      return null;
+    },
+    async accept(req, appeal, session) {
+      const trashed = await findTrashedContent(appeal.userId, appeal.targetId);
+      if (trashed) {
+        await restoreFromTrash(trashed.kind, trashed.doc, { session });
+        return { restored: trashed.kind };
+      }
+
+      const removal = await findContentRemoval(appeal.userId, appeal.targetId);
+
+      if (removal.target.type === "thread") {
+        // the thread comes back with the replies removed alongside it
+        const replies = removal.meta?.replies || [];
+        await Threads.insertOne({ ...removal.snapshot, replies: replies.length }, { session });
+        if (replies.length) await Replies.insertMany(replies, { session });
+        return { restored: "thread", replies: replies.length };
+      }
+
+      await Replies.insertOne(removal.snapshot, { session });
+      await Threads.updateOne({ id: removal.snapshot.threadId }, { $inc: { replies: 1 } }, { session });
+      return { restored: "reply" };
+    },
+  },
+};
+
+/* Department heads review their department's application appeals; staff groups the rest */
+function canReviewAppeal(user, appeal) {
+  if (appeal.type === "application") {
+    const dept = findDepartment(appeal.department);
+    return !!dept && canManageDepartment(user, dept);
+  }
+  return hasPermission(user, REVIEWER_PERMISSIONS[APPEAL_TYPES[appeal.type].reviewer]);
+}
+
+/* Appellant or anyone who may review it */
+function canViewAppeal(user, appeal) {
+  return (
+    appeal.userId === user.id ||
+    hasPermission(user, "appeals.view") ||
+    canReviewAppeal(user, appeal)
+  );
+}
+
+/* Mongo filter for the appeals `user` may review */
+function reviewableAppealsFilter(user) {
+  const or = [];
+
+  for (const [reviewer, permission] of Object.entries(REVIEWER_PERMISSIONS)) {
+    if (hasPermission(user, permission)) or.push({ type: { $ne: "application" }, reviewer });
+  }
+
+  const headed = hasPermission(user, "departments.manage")
+    ? null
+    : allDepartments().filter((d) => canManageDepartment(user, d)).map((d) => d.code);
+  if (!headed) or.push({ type: "application" });
+  else if (headed.length) or.push({ type: "application", department: { $in: headed } });
+
+  return or.length ? { $or: or } : null;
+}
+
+/* Shared ?status= / ?type= / ?from= / ?to= appeal filters */
+function appealFilter(query, base = {}) {
+  const filter = { ...base };
+  if (query.status) filter.status = query.status;
+  if (query.type) filter.type = query.type;
+  return withDateRange(filter, "createdAt", query);
+}
+
+/*
+ * Accept or deny a pending appeal. Accepting applies the type's outcome
+ * in the same transaction as the decision, so an appeal is never marked
+ * accepted without its outcome (or the other way round).
+ */
+async function decideAppeal(req, appeal, { status, reason = null }) {
+  if (appeal.userId === req.user.id)
+    return { status: 403, error: "You can't decide your own appeal." };
+
+  if (!canReviewAppeal(req.user, appeal))
+    return { status: 403, error: "This appeal is reviewed by another team." };
+
+  // Whoever took the action doesn't get to judge the appeal against it
+  if (appeal.actorId && appeal.actorId === req.user.id)
+    return { status: 403, error: "You can't review an appeal against your own action." };
+
+  const subject = APPEAL_SUBJECTS[appeal.type];
+  if (status === "accepted" && subject.check) {
+    const problem = await subject.check(appeal);
+    if (problem) return problem;
+  }
+
+  const appellant = await Users.findOne({ id: appeal.userId });
+  const update = {
+    status,
+    decisionReason: reason,
+    handledBy: req.user.username,
+    handledById: req.user.id,
+    handledAt: new Date().toISOString()
+  };
+
+  let decided = null;
+  const session = client.startSession();
+  try {
+    await session.withTransaction(async () => {
+      decided = await Appeals.findOneAndUpdate(
+        { id: appeal.id, status: "pending" },
+        { $set: update },
+        { session, returnDocument: "after" }
+      );
+      if (!decided || status !== "accepted") return;
+
+      const outcome = await subject.accept(req, appeal, session);
+      decided = await Appeals.findOneAndUpdate(
+        { id: appeal.id },
+        { $set: { outcome } },
+        { session, returnDocument: "after" }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!decided)
+    return { status: 409, error: "Appeal has already been decided." };
+
+  await recordAudit(req, {
+    action: "appeal.decide",
+    targetType: "appeal",
+    targetId: appeal.id,
+    before: appeal,
+    after: decided,
+    reason,
+    meta: { type: appeal.type, targetId: appeal.targetId, outcome: decided.outcome || null },
+  });
+
+  if (decided.outcome?.liftedBans) {
+    await recordAudit(req, {
+      action: "user.unban",
+      targetType: "user",
+      targetId: appeal.userId,
+      before: appellant,
+      after: appellant && { ...appellant, banned: decided.outcome.banned },
+      meta: { appealId: appeal.id, liftedBans: decided.outcome.liftedBans },
+    });
+  }
+
+  if (appellant) {
+    try {
+      await queueTemplateEmail(
+        "appealDecided",
+        { username: appellant.username, type: appeal.type, decision: status, reason },
+        { to: appellant.email, name: appellant.username, locale: appellant.locale, meta: { appealId: appeal.id } }
+      );
+    } catch (err) {
+      console.error("❌ Appeal email queue error:", err);
+    }
+  }
+
+  return { appeal: decided };
+}
+
+/* ===========================
+   AUDIT LOG
+   =========================== */
+
+/*
+ * Append one entry to the audit log.
+ * before/after are the target document around the change (after = null
+ * for deletions, in which case the removed document is kept as snapshot).
+ * Never throws — a logging failure must not undo a completed action.
+ */
+async function recordAudit(req, { action, targetType, targetId, before = null, after = null, reason = null, meta = null }) {
+  try {
+    await AuditLog.insertOne({
+      id: crypto.randomUUID(),
+      action,
+      actor: req.user
+        ? { id: req.user.id, username: req.user.username, role: req.user.role }
+        : null,
+      target: { type: targetType, id: targetId },
+      changes: diffDocs(before, after),
+      snapshot: before && !after ? scrub(before) : null,
+      reason,
+      meta,
+      ip: getClientIP(req),
+      panelSessionId: req.panelSession?.id || null,
+      createdAt: new Date(),
+    });
+  } catch (err) {
+    console.error("❌ AUDIT WRITE ERROR:", action, targetId, err);
+  }
+}
+
+/* Build a Mongo filter from validated /audit query params */
+function auditFilter(query) {
+  const filter = {};
+  if (query.actorId) filter["actor.id"] = query.actorId;
+  if (query.action) filter.action = query.action;
+  if (query.targetType) filter["target.type"] = query.targetType;
+  if (query.targetId) filter["target.id"] = query.targetId;
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = query.from;
+    if (query.to) filter.createdAt.$lte = query.to;
+  }
+
+  return filter;
+}
+
+/* ===========================
+   RATE LIMITING
+   =========================== */
+
+const rateLimitStore =
+  RATE_LIMIT_STORE === "mongo"
+    ? new MongoStore(() => RateLimits)
+    : new MemoryStore();
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const byIP = (max) => ({ max, key: (req) => getClientIP(req) });
+const byUser = (max) => ({ max, key: (req) => req.user?.id || null });
+const byEmail = (max) => ({
+  max,
+  key: (req) => lockoutKey(req.body?.email) || null,
+});
+
+/// PER-ROUTE POLICIES
+const rateLimits = {
+  login: createRateLimiter({
+    name: "login",
+    windowMs: 15 * MINUTE,
+    limits: { ip: byIP(30), account: byEmail(15) },
+    store: rateLimitStore,
+  }),
+  twoFactor: createRateLimiter({
+    name: "2fa",
+    windowMs: 15 * MINUTE,
+    limits: { ip: byIP(15) },
+    store: rateLimitStore,
+  }),
+  register: createRateLimiter({
+    name: "register",
+    windowMs: HOUR,
+    limits: { ip: byIP(5), account: byEmail(3) },
+    store: rateLimitStore,
+  }),
+  passwordReset: createRateLimiter({
+    name: "password-reset",
+    windowMs: HOUR,
+    limits: { ip: byIP(10), account: byEmail(3) },
+    store: rateLimitStore,
+  }),
+  panel: createRateLimiter({
+    name: "panel",
+    windowMs: 15 * MINUTE,
+    limits: { ip: byIP(10), account: byUser(5) },
+    store: rateLimitStore,
+  }),
+  apply: createRateLimiter({
+    name: "apply",
+    windowMs: HOUR,
+    limits: { ip: byIP(10), account: byUser(5) },
+    store: rateLimitStore,
+  }),
+  appeal: createRateLimiter({
+    name: "appeal",
+    windowMs: HOUR,
+    limits: { ip: byIP(10), account: byUser(3) },
+    store: rateLimitStore,
+  }),
+  appealMessage: createRateLimiter({
+    name: "appeal-message",
+    windowMs: 15 * MINUTE,
+    limits: { ip: byIP(60), account: byUser(20) },
+    store: rateLimitStore,
+  }),
+  search: createRateLimiter({
+    name: "search",
+    windowMs: MINUTE,
+    limits: { ip: byIP(30), account: byUser(30) },
+    store: rateLimitStore,
+  }),
+};
+
+/* ===========================
+   BRUTE-FORCE LOCKOUT
+   =========================== */
+
+function lockoutKey(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+async function getActiveLockout(email) {
+  const key = lockoutKey(email);
+  if (!key) return null;
+  return LoginLockouts.findOne({ key, lockedUntil: { $gt: new Date() } });
+}
+
+/*
+ * Count a failed login. Every LOGIN_LOCKOUT_THRESHOLD failures in a row
+ * lock the account, each lock longer than the last.
+ * Returns the lock expiry when this failure triggered a lock.
+ */
+async function registerLoginFailure(req, email) {
+  const key = lockoutKey(email);
+  if (!key) return null;
+
+  const doc = await LoginLockouts.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: new Date(), lastIP: getClientIP(req) },
+      $setOnInsert: { id: crypto.randomUUID(), lockCount: 0, lockedUntil: null, createdAt: new Date() },
+    },
+    { upsert: true, returnDocument: "after" }
+  );
+
+  if (doc.failures < LOGIN_LOCKOUT_THRESHOLD) return null;
+
+  const step = Math.min(doc.lockCount, LOGIN_LOCKOUT_STEPS_MS.length - 1);
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_STEPS_MS[step]);
+
+  await LoginLockouts.updateOne(
+    { key },
+    { $set: { failures: 0, lockedUntil }, $inc: { lockCount: 1 } }
+  );
+
+  console.warn(`🔒 Account locked until ${lockedUntil.toISOString()}: ${key}`);
+  return lockedUntil;
+}
+
+async function clearLoginFailures(email) {
+  const key = lockoutKey(email);
+  if (key) await LoginLockouts.deleteOne({ key });
+}
+
+function sendLockedOut(res, lockedUntil) {
+  const retryAfter = Math.max(
+    1,
+    Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000)
+  );
+  res.setHeader("Retry-After", retryAfter);
+  return res.status(429).json({
+    error: "Too many failed login attempts. Account temporarily locked.",
+    lockedUntil,
+    retryAfter,
+  });
+}
+
+/* ===========================
+   SESSIONS & AUTH MIDDLEWARE
+   =========================== */
+
+/* Create a login session and hand out its token pair */
+async function createSession(req, user) {
+  const refreshToken = generateOpaqueToken();
+  const now = new Date();
+
+  const session = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+    ip: getClientIP(req),
+    userAgent: req.headers["user-agent"] || null,
+    revokedAt: null,
+  };
+
+  await Sessions.insertOne(session);
+
+  return {
+    accessToken: issueAccessToken(user.id, session.id),
+    refreshToken,
+    expiresAt: session.expiresAt,
+  };
+}
+
+/* { user, session } for the request's "Authorization: Bearer <accessToken>", or { error } */
+async function resolveSession(req) {
+  const payload = verifyToken(getBearerToken(req), "access");
+  if (!payload) return { error: "Not logged in" };
+
+  const session = await Sessions.findOne({
+    id: payload.sid,
+    userId: payload.sub,
+    revokedAt: null,
+  });
+  if (!session || session.expiresAt < new Date()) return { error: "Session expired" };
+
+  const user = await Users.findOne(live({ id: payload.sub }));
+  if (!user) return { error: "Not logged in" };
+
+  return { user, session };
+}
+
+/*
+ * Resolves the caller from "Authorization: Bearer <accessToken>".
+ * Sets req.user (full user document) and req.authSession.
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const { user, session, error } = await resolveSession(req);
+    if (error) return res.status(401).json({ error });
+
+    req.user = user;
+    req.authSession = session;
+    next();
+  } catch (err) {
+    console.error("❌ AUTH ERROR:", err);
+    res.status(500).json({ error: "Authentication failed" });
+  }
+}
+
+/* Sets req.user when a valid token is sent; anonymous requests pass through */
+async function optionalAuth(req, res, next) {
+  try {
+    if (getBearerToken(req)) {
+      const { user, session } = await resolveSession(req);
+      if (user) {
+        req.user = user;
+        req.authSession = session;
+      }
+    }
+    next();
+  } catch (err) {
+    console.error("❌ AUTH ERROR:", err);
+    res.status(500).json({ error: "Authentication failed" });
+  }
+}
+
+/*
+ * Route guard for a named permission (see permissions.js).
+ * Must run AFTER requireAuth.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission))
+      return res.status(403).json({ error: "Missing permission", permission });
+    next();
+  };
+}
+
+/*
+ * Requires an elevated panel session ("X-Panel-Token" header) issued
+ * by /staff-auth or /ha-auth. An admin panel session also opens the
+ * staff panel. Break-glass sessions run with the panel's fallback role.
+ * Must run AFTER requireAuth.
+ */
+function requirePanel(panel) {
+  return async (req, res, next) => {
+    try {
+      const token = req.headers["x-panel-token"];
+      if (!token)
+        return res.status(401).json({ error: "Panel session required" });
+
+      const session = await PanelSessions.findOne({
+        tokenHash: hashToken(token),
+        userId: req.user.id,
+        revokedAt: null,
+      });
+
+      const allowedPanels = panel === "staff" ? ["staff", "admin"] : [panel];
+      if (
+        !session ||
+        !allowedPanels.includes(session.panel) ||
+        session.expiresAt < new Date()
+      )
+        return res.status(401).json({ error: "Panel session expired" });
+
+      if (needsTwoFactorSetup(req.user))
+        return res.status(403).json({
+          error: "Two-factor authentication is required for staff",
+          twoFactorSetupRequired: true,
+        });
+
+      if (session.method === "break-glass") {
+        req.user = { ...req.user, role: session.elevatedRole };
+      } else if (!hasPermission(req.user, PANELS[session.panel].permission)) {
+        // Demoted since the session was granted
+        return res.status(403).json({ error: "Panel access revoked" });
+      }
+
+      req.panelSession = session;
+      next();
+    } catch (err) {
+      console.error("❌ PANEL AUTH ERROR:", err);
+      res.status(500).json({ error: "Authentication failed" });
+    }
+  };
+}
+
+/*
+ * Opens a panel for the logged-in account after a fresh password
+ * re-check. Every grant is stored in panelSessions against the account.
+ */
+async function grantPanelSession(req, res, panel) {
+  const config = PANELS[panel];
+  const { password } = req.body;
+
+  let method = null;
+
+  if (needsTwoFactorSetup(req.user))
+    return res.status(403).json({
+      error: "Two-factor authentication is required for staff",
+      twoFactorSetupRequired: true,
+    });
+
+  if (hasPermission(req.user, config.permission)) {
+    if (!(await verifyPassword(password, req.user.password)))
+      return res.status(401).json({ error: "Invalid password" });
+    method = "account";
+  } else if (
+    PANEL_BREAK_GLASS &&
+    config.breakGlassPassword &&
+    safeCompare(password, config.breakGlassPassword)
+  ) {
+    method = "break-glass";
+    console.warn(
+      `🚨 BREAK-GLASS ${config.label} access by ${req.user.username} (${req.user.id})`
+    );
+  } else {
+    return res.status(403).json({ error: `${config.label} access denied` });
+  }
+
+  const panelToken = generateOpaqueToken();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + PANEL_SESSION_TTL_MS);
+
+  const panelSession = {
+    id: crypto.randomUUID(),
+    userId: req.user.id,
+    username: req.user.username,
+    role: req.user.role,
+    panel,
+    method,
+    elevatedRole: method === "break-glass" ? config.breakGlassRole : null,
+    tokenHash: hashToken(panelToken),
+    ip: getClientIP(req),
+    userAgent: req.headers["user-agent"] || null,
+    createdAt: now,
+    expiresAt,
+    revokedAt: null,
+  };
+
+  await PanelSessions.insertOne(panelSession);
+
+  await recordAudit(req, {
+    action: "panel.grant",
+    targetType: "panelSession",
+    targetId: panelSession.id,
+    after: { panel, method, elevatedRole: panelSession.elevatedRole, expiresAt },
+  });
+
+  res.json({ success: true, panelToken, expiresAt, method });
+}
+
+/* ===========================
+   EMAIL TEMPLATES
+   =========================== */
+
+const {
+  SUPPORTED_LOCALES,
+  TEMPLATES: EMAIL_TEMPLATES,
+  pickLocale,
+  parseAcceptLanguage,
+  renderEmail,
+} = require("./emailTemplates");
+
+/* Queue one transactional email — the emailQueue worker delivers it */
+function queueEmail({ to, name, subject, html, text, kind, meta }) {
+  return emailQueue.enqueue({ to, name, subject, html, text, kind, meta });
+}
+
+/* Render a template in the recipient's language and queue it */
+function queueTemplateEmail(template, vars, { to, name, locale, kind, meta }) {
+  const { subject, html, text } = renderEmail(template, vars, locale);
+  return queueEmail({ to, name, subject, html, text, kind: kind || template, meta });
+}
+
+/* Language of the account behind an email address */
+async function localeForEmail(email) {
+  const user = await Users.findOne({ email }, { projection: { locale: 1 } });
+  return pickLocale(user?.locale);
+}
+
+/* Worker callback — mirror final delivery status onto the source record */
+async function onEmailSettled(message) {
+  if (message.kind === "application_decision") {
+    await Applications.updateOne(
+      { id: message.meta?.applicationId, "decisionEmail.messageId": message.id },
+      {
+        $set: {
+          "decisionEmail.status": message.status,
+          "decisionEmail.sentAt": message.sentAt,
+          "decisionEmail.lastError": message.lastError,
+        },
+      }
+    );
+  }
+}
+
+/* ============================================================
+   SEND DECISION EMAILS (APPLICATION STATUS)
+   ============================================================ */
+
+/* Rendered decision email in the applicant's language (defaults to the stored decision) */
+async function decisionEmailContent(appDoc, decision = appDoc.status, reason = appDoc.decisionReason) {
+  const vars = {
+    username: appDoc.username,
+    department: findDepartment(appDoc.department)?.name || appDoc.department,
+    reason,
+  };
+  return renderEmail(decision, vars, await localeForEmail(appDoc.email));
+}
+
+/*
+ * Queue the decision email for an application at most once per decision.
+ * The application is claimed atomically, so a retried request can't queue
+ * it twice; `resend` also claims an already delivered (or dead) email.
+ * Returns "queued", or null if nothing was claimable.
+ */
+async function deliverDecisionEmail(id, { resend = false } = {}) {
+  const now = new Date();
+  const claimable = [
+    { "decisionEmail.status": { $in: resend ? ["pending", "sent", "dead"] : ["pending"] } },
+    // claimed, but the server died before the message was queued
+    {
+      "decisionEmail.status": "queued",
+      "decisionEmail.messageId": null,
+      "decisionEmail.claimedAt": { $lt: new Date(now.getTime() - DECISION_EMAIL_CLAIM_TTL_MS) },
+    },
+  ];
+  // decided before delivery tracking existed
+  if (resend) claimable.push({ decisionEmail: { $exists: false } });
+
+  const appDoc = await Applications.findOneAndUpdate(
+    { id, status: { $in: Object.keys(FINAL_STAGES) }, $or: claimable },
+    {
+      $set: {
+        "decisionEmail.status": "queued",
+        "decisionEmail.claimedAt": now,
+        "decisionEmail.messageId": null,
+      },
+      $inc: { "decisionEmail.attempts": 1 },
+    },
+    { returnDocument: "after" }
+  );
+  if (!appDoc) return null;
+
+  const { subject, html, text } = await decisionEmailContent(appDoc);
+  const message = await queueEmail({
+    to: appDoc.email,
+    name: appDoc.username,
+    subject,
+    html,
+    text,
+    kind: "application_decision",
+    meta: { applicationId: id },
+  });
+
+  await Applications.updateOne(
+    { id },
+    {
+      $set: {
+        "decisionEmail.decision": appDoc.status,
+        "decisionEmail.messageId": message.id,
+        "decisionEmail.sentAt": null,
+        "decisionEmail.lastError": null,
+      },
+    }
+  );
+
+  return "queued";
+}
+
+
+/* ===========================
+   REQUEST SCHEMAS
+   =========================== */
+
+// ~2 MB image once base64-encoded
+const MAX_PFP_LENGTH = 2_800_000;
+
+const username = () => t.string({ min: 3, max: 32 });
+const newPassword = () => t.string({ min: 6, max: 200, trim: false });
+const password = () => t.string({ max: 200, trim: false });
+const idParam = { id: t.string({ max: 100 }) };
+const moderationReason = { reason: t.string({ max: 1000, optional: true }) };
+
+/// LIST QUERIES (see pagination.js) — the first sort field is the default
+const pageQuery = (sorts) => ({
+  limit: t.integer({ min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT }),
+  cursor: t.string({ max: 500, optional: true }),
+  sort: t.enum(sorts, { default: sorts[0] }),
+  order: t.enum(["asc", "desc"], { default: "desc" }),
+});
+const dateRange = { from: t.date({ optional: true }), to: t.date({ optional: true }) };
+const applicationListQuery = {
+  status: t.enum(["pending", "accepted", "denied"], { optional: true }),
+  stage: t.enum(STAGES, { optional: true }),
+  reached: t.enum(STAGES, { optional: true }),
+  department: t.string({ max: 100, optional: true }),
+  assignedTo: t.string({ max: 100, optional: true }),
+  ...dateRange,
+  ...pageQuery(["submittedAt", "username"]),
+};
+const appealListQuery = {
+  status: t.enum(["pending", "accepted", "denied"], { optional: true }),
+  ...dateRange,
+  ...pageQuery(["createdAt"]),
+};
+
+/// WHO MAY READ / POST / REPLY IN A FORUM CATEGORY (see categories.js)
+const accessRule = t.object(
+  {
+    everyone: t.boolean({ optional: true }),
+    members: t.boolean({ optional: true }),
+    staff: t.boolean({ optional: true }),
+    anyDepartment: t.boolean({ optional: true }),
+    roles: t.array(t.enum(Object.keys(ROLE_RANKS)), { max: 20, optional: true }),
+    departments: t.array(t.string({ lowercase: true, max: 20 }), { max: 20, optional: true }),
+  },
+  { optional: true }
+);
+const categoryPermissions = { read: accessRule, post: accessRule, reply: accessRule };
+
+const schemas = {
+  panelAuth: { body: { password: password() } },
+
+  apply: {
+    body: {
+      id: t.string({ max: 100 }),
+      department: t.string({ max: 100 }),
+      // answers keyed by form field id, checked against the current form
+      answers: t.any({ optional: true }),
+      formVersion: t.integer({ min: 1, optional: true }),
+      // legacy clients send a single "reason" box
+      reason: t.string({ max: 5000, optional: true }),
+      agreedLogging: t.boolean({ optional: true }),
+      agreedDiscord: t.boolean({ optional: true }),
+    },
+  },
+  applicationDecision: {
+    params: idParam,
+    body: {
+      decision: t.enum(["accepted", "denied"]),
+      reason: t.string({ max: 2000, optional: true }),
+    },
+  },
+  applicationsByEmail: {
+    params: { email: t.string({ max: 254 }) },
+    query: applicationListQuery,
+  },
+  applicationFilters: { query: applicationListQuery },
+  applicationById: { params: idParam },
+  applicationStage: {
+    params: idParam,
+    body: {
+      stage: t.enum(STAGES),
+      note: t.string({ max: 2000, optional: true }),
+      interviewAt: t.date({ optional: true }),
+    },
+  },
+  decisionEmailPreview: {
+    params: idParam,
+    // preview a decision before making it; defaults to the stored one
+    query: {
+      decision: t.enum(["accepted", "denied"], { optional: true }),
+      reason: t.string({ max: 2000, optional: true }),
+    },
+  },
+  applicationNote: {
+    params: idParam,
+    body: { text: t.string({ max: 4000 }) },
+  },
+  applicationAssign: {
+    params: idParam,
+    // omit to unassign
+    body: { reviewerId: t.string({ max: 100, optional: true }) },
+  },
+  deleteApplication: { params: idParam, body: moderationReason },
+
+  register: {
+    body: {
+      username: username(),
+      email: t.email(),
+      password: newPassword(),
+      // email language; Accept-Language is used when omitted
+      locale: t.enum(SUPPORTED_LOCALES, { optional: true }),
+    },
+  },
+  login: {
+    body: {
+      email: t.email(),
+      password: password(),
+      hwid: t.string({ max: 128, optional: true }),
+    },
+  },
+  login2fa: {
+    body: {
+      challengeToken: t.string({ max: 2000 }),
+      code: t.string({ pattern: /^\d{6}$/, optional: true }),
+      recoveryCode: t.string({ max: 32, optional: true }),
+    },
+  },
+  refresh: { body: { refreshToken: t.string({ max: 200 }) } },
+  changeUsername: { body: { username: username() } },
+  updatePassword: {
+    body: { currentPassword: password(), password: newPassword() },
+  },
+  updateProfile: {
+    body: {
+      bio: t.string({ max: 1000, optional: true, allowEmpty: true }),
+      pfp: t.string({
+        max: MAX_PFP_LENGTH,
+        optional: true,
+        allowEmpty: true,
+        pattern: /^(data:image\/(png|jpe?g|gif|webp);base64,[A-Za-z0-9+/=]+|https:\/\/\S+)$/,
+        patternMessage: "Must be a PNG, JPEG, GIF or WebP image",
+      }),
+      locale: t.enum(SUPPORTED_LOCALES, { optional: true }),
+    },
+  },
+  twoFactorCode: { body: { code: t.string({ pattern: /^\d{6}$/ }) } },
+  twoFactorDisable: {
+    body: {
+      password: password(),
+      code: t.string({ pattern: /^\d{6}$/, optional: true }),
+      recoveryCode: t.string({ max: 32, optional: true }),
+    },
+  },
+  forgotPassword: { body: { email: t.email() } },
+  resetPassword: {
+    body: { token: t.string({ max: 200 }), password: newPassword() },
+  },
+  verifyAccount: {
+    params: {
+      token: t.string({
+        pattern: /^[a-f0-9]{64}$/,
+        patternMessage: "Invalid or expired verification link",
+      }),
+    },
+  },
+
+  createAppeal: {
+    body: {
+      type: t.enum(Object.keys(APPEAL_TYPES), { default: "ban" }),
+      targetId: t.string({ max: 100, optional: true }),
+      reason: t.string({ min: 20, max: 5000 }),
+    },
+  },
+  appealList: {
+    query: {
+      ...appealListQuery,
+      type: t.enum(Object.keys(APPEAL_TYPES), { optional: true }),
+      reviewable: t.boolean({ optional: true }),
+    },
+  },
+  myAppeals: {
+    query: { ...appealListQuery, type: t.enum(Object.keys(APPEAL_TYPES), { optional: true }) },
+  },
+  appealMessage: {
+    params: idParam,
+    body: { body: t.string({ min: 1, max: 4000 }) },
+  },
+  appealDecision: {
+    params: idParam,
+    body: {
+      status: t.enum(["accepted", "denied"]),
+      reason: t.string({ max: 2000, optional: true }),
+    },
+  },
+  appealById: { params: idParam },
+
+  auditQuery: {
+    query: {
+      actorId: t.string({ max: 100, optional: true }),
+      action: t.string({ max: 100, optional: true }),
+      targetType: t.string({ max: 100, optional: true }),
+      targetId: t.string({ max: 254, optional: true }),
+      ...dateRange,
+      ...pageQuery(["createdAt"]),
+      format: t.enum(["json", "csv"], { default: "json" }),
+    },
+  },
+  lockoutList: {
+    query: {
+      active: t.boolean({ default: false }),
+      ...pageQuery(["lastFailureAt"]),
+    },
+  },
+  emailQueueList: {
+    query: {
+      status: t.enum(["queued", "sending", "retrying", "sent", "dead"], { optional: true }),
+      kind: t.string({ max: 50, optional: true }),
+      to: t.email({ optional: true, lowercase: true }),
+      ...pageQuery(["createdAt"]),
+    },
+  },
+  emailQueueRetry: { params: idParam },
+  emailTemplatePreview: {
+    params: { name: t.enum(Object.keys(EMAIL_TEMPLATES)) },
+    query: {
+      locale: t.enum(SUPPORTED_LOCALES, { optional: true }),
+      // "html" returns the page itself so it can be opened in a browser tab
+      format: t.enum(["json", "html", "text"], { default: "json" }),
+    },
+  },
+  lockoutClear: { params: { key: t.string({ max: 254 }) } },
+
+  userById: { params: idParam },
+  userList: {
+    query: {
+      role: t.enum(Object.keys(ROLE_RANKS), { optional: true }),
+      banned: t.boolean({ optional: true }),
+      restricted: t.boolean({ optional: true }),
+      ...dateRange,
+      ...pageQuery(["createdAt", "username"]),
+    },
+  },
+  banUser: {
+    params: idParam,
+    body: {
+      reason: t.string({ max: 1000, default: "Manual ban" }),
+      evidence: t.array(t.url(), { max: 10, default: () => [] }),
+      scope: t.enum(BAN_SCOPES, { default: "global" }),
+      // timed ban: either an end date or a length — neither means permanent
+      expiresAt: t.date({ optional: true }),
+      durationHours: t.integer({ min: 1, max: 24 * 365 * 5, optional: true }),
+    },
+  },
+  unbanUser: {
+    params: idParam,
+    body: {
+      ...moderationReason,
+      // lift only this ban; all active bans otherwise
+      banId: t.string({ max: 100, optional: true }),
+    },
+  },
+  assignRole: {
+    params: idParam,
+    body: {
+      role: t.enum(Object.keys(ROLE_RANKS), { default: DEFAULT_ROLE }),
+      staffTag: t.string({ max: 50, optional: true }),
+      staffIcon: t.string({ max: 500, optional: true }),
+    },
+  },
+  deleteUser: { params: idParam, body: moderationReason },
+  restrictUser: {
+    params: idParam,
+    body: {
+      restricted: t.boolean(),
+      scopes: t.array(t.enum(Object.keys(RESTRICTION_SCOPES)), {
+        min: 1,
+        default: () => Object.keys(RESTRICTION_SCOPES),
+      }),
+      reason: t.string({ max: 1000, optional: true }),
+      durationHours: t.integer({ min: 1, max: 24 * 365 * 5, optional: true }),
+    },
+  },
+  issueSanction: {
+    params: idParam,
+    body: {
+      type: t.enum(SANCTION_TYPES),
+      reason: t.string({ max: 1000 }),
+      // restrictions only
+      scopes: t.array(t.enum(Object.keys(RESTRICTION_SCOPES)), { optional: true }),
+      // default: 30 days for warnings, 90 for strikes, permanent restrictions
+      durationHours: t.integer({ min: 1, max: 24 * 365 * 5, optional: true }),
+    },
+  },
+  revokeSanction: {
+    params: { id: t.string({ max: 100 }), sanctionId: t.string({ max: 100 }) },
+    body: moderationReason,
+  },
+  trashList: {
+    query: {
+      type: t.enum(Object.keys(TRASH_TYPES), { optional: true }),
+      limit: t.integer({ min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT }),
+      cursor: t.string({ max: 500, optional: true }),
+    },
+  },
+  trashRestore: {
+    params: { type: t.enum(Object.keys(TRASH_TYPES)), ...idParam },
+    body: moderationReason,
+  },
+  trashRetention: {
+    body: { days: t.integer({ min: 1, max: MAX_RETENTION_DAYS }) },
+  },
+  escalationPolicy: {
+    body: {
+      rules: t.array(
+        t.object({
+          strikes: t.integer({ min: 1, max: 50 }),
+          action: t.enum(["ban", "restrict"]),
+          scopes: t.array(t.enum(Object.keys(RESTRICTION_SCOPES)), { optional: true }),
+          durationHours: t.integer({ min: 1, max: 24 * 365 * 5, optional: true }),
+        }),
+        { max: 20 }
+      ),
+    },
+  },
+
+  createThread: {
+    body: {
+      title: t.string({ min: 4, max: 150 }),
+      body: t.string({ min: 10, max: 20000 }),
+      category: t.string({ max: 50, default: "general" }),
+    },
+  },
+  threadsByCategory: {
+    params: { category: t.string({ max: 50 }) },
+    query: {
+      authorId: t.string({ max: 100, optional: true }),
+      ...dateRange,
+      ...pageQuery(["lastActivityAt", "createdAt"]),
+    },
+  },
+  threadById: { params: idParam },
+  createReply: {
+    params: idParam,
+    body: {
+      body: t.string({ min: 2, max: 10000 }),
+      quoteId: t.string({ max: 100, optional: true }),
+    },
+  },
+  forumReaction: {
+    params: idParam,
+    body: { reaction: t.enum(Object.keys(REACTIONS)) },
+  },
+  notificationList: {
+    query: { unread: t.boolean({ default: false }), ...pageQuery(["createdAt"]) },
+  },
+  notificationById: { params: idParam },
+  deleteForumContent: { params: idParam, body: moderationReason },
+
+  editThread: {
+    params: idParam,
+    body: {
+      title: t.string({ min: 4, max: 150, optional: true }),
+      body: t.string({ min: 10, max: 20000, optional: true }),
+      reason: t.string({ max: 200, optional: true }),
+    },
+  },
+  editReply: {
+    params: idParam,
+    body: {
+      body: t.string({ min: 2, max: 10000 }),
+      reason: t.string({ max: 200, optional: true }),
+    },
+  },
+  pinThread: { params: idParam, body: { pinned: t.boolean({ default: true }) } },
+  lockThread: {
+    params: idParam,
+    body: { locked: t.boolean({ default: true }), ...moderationReason },
+  },
+  moveThread: {
+    params: idParam,
+    body: { category: t.string({ max: 50 }), ...moderationReason },
+  },
+
+  categoryBySlug: { params: { slug: t.string({ max: 50 }) } },
+  createCategory: {
+    body: {
+      slug: t.string({
+        lowercase: true,
+        pattern: /^[a-z0-9-]{2,50}$/,
+        patternMessage: "2-50 lowercase letters, digits or dashes",
+      }),
+      name: t.string({ min: 2, max: 100 }),
+      description: t.string({ max: 500, default: "" }),
+      order: t.integer({ min: 0, optional: true }),
+      locked: t.boolean({ default: false }),
+      permissions: t.object(categoryPermissions, { default: () => ({}) }),
+    },
+  },
+  updateCategory: {
+    params: { slug: t.string({ max: 50 }) },
+    body: {
+      name: t.string({ min: 2, max: 100, optional: true }),
+      description: t.string({ max: 500, optional: true, allowEmpty: true }),
+      order: t.integer({ min: 0, optional: true }),
+      locked: t.boolean({ optional: true }),
+      permissions: t.object(categoryPermissions, { optional: true }),
+    },
+  },
+
+  departmentByCode: { params: { code: t.string({ max: 100 }) } },
+  createDepartment: {
+    body: {
+      code: t.string({
+        lowercase: true,
+        pattern: /^[a-z0-9-]{2,20}$/,
+        patternMessage: "2-20 lowercase letters, digits or dashes",
+      }),
+      name: t.string({ min: 2, max: 100 }),
+      aliases: t.array(t.string({ max: 100 }), { max: 20, default: () => [] }),
+      open: t.boolean({ default: true }),
+      heads: t.array(t.string({ max: 100 }), { max: 20, default: () => [] }),
+      // first form version — defaults to the standard "reason" form
+      form: t.array(formFieldSchema, { min: 1, max: 50, optional: true }),
+    },
+  },
+  updateDepartment: {
+    params: { code: t.string({ max: 100 }) },
+    body: {
+      name: t.string({ min: 2, max: 100, optional: true }),
+      aliases: t.array(t.string({ max: 100 }), { max: 20, optional: true }),
+      open: t.boolean({ optional: true }),
+      heads: t.array(t.string({ max: 100 }), { max: 20, optional: true }),
+    },
+  },
+  saveDepartmentForm: {
+    params: { code: t.string({ max: 100 }) },
+    body: { fields: t.array(formFieldSchema, { min: 1, max: 50 }) },
+  },
+  departmentFormVersion: {
+    params: {
+      code: t.string({ max: 100 }),
+      version: t.integer({ min: 1 }),
+    },
+  },
+  departmentPipeline: {
+    params: { code: t.string({ max: 100 }) },
+    // { "<stage>": ["<next stage>", ...] } — checked by checkPipeline
+    body: { transitions: t.any() },
+  },
+  departmentAppeals: {
+    params: { code: t.string({ max: 100 }) },
+    query: appealListQuery,
+  },
+  departmentAppealDecision: {
+    params: { code: t.string({ max: 100 }), ...idParam },
+    body: {
+      status: t.enum(["accepted", "denied"]),
+      reason: t.string({ max: 2000, optional: true }),
+    },
+  },
+
+  search: {
+    query: {
+      q: t.string({ min: 2, max: 200 }),
+      type: t.enum(Object.keys(SEARCH_TYPES), { optional: true }),
+      limit: t.integer({ min: 1, max: 50, default: 10 }),
+      cursor: t.string({ max: 500, optional: true }),
+    },
+  },
+
+  galleryList: {
+    query: {
+      department: t.string({ max: 100, optional: true }),
+      authorId: t.string({ max: 100, optional: true }),
+      ...dateRange,
+      ...pageQuery(["createdAt"]),
+    },
+  },
+  galleryUpload: {
+    body: {
+      department: t.string({ max: 100 }),
+      imageUrl: t.url(),
+      caption: t.string({ max: 500, optional: true }),
+    },
+  },
+};
+
+/* ===========================
+   ROUTES – BASIC
+   =========================== */
+
+app.get("/", (req, res) => res.send("Shore Roleplay Backend Online 🚀"));
+
+/* ===========================
+   STAFF / HEAD ADMIN PANEL AUTH
+   =========================== */
+
+app.post("/staff-auth", requireAuth, rateLimits.panel, validate(schemas.panelAuth), async (req, res) => {
+  try {
+    await grantPanelSession(req, res, "staff");
+  } catch (err) {
+    console.error("❌ STAFF AUTH ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+app.post("/ha-auth", requireAuth, rateLimits.panel, validate(schemas.panelAuth), async (req, res) => {
+  try {
+    await grantPanelSession(req, res, "admin");
+  } catch (err) {
+    console.error("❌ HA AUTH ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Close the current panel session early */
+app.post("/panel/logout", requireAuth, async (req, res) => {
+  try {
+    const token = req.headers["x-panel-token"];
+    if (token) {
+      await PanelSessions.updateOne(
+        { tokenHash: hashToken(token), userId: req.user.id },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ PANEL LOGOUT ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ===========================
+   APPLICATIONS (ORIGINAL)
+   =========================== */
+
+app.post("/apply", requireAuth, requireUnrestricted("apply"), rateLimits.apply, validate(schemas.apply), async (req, res) => {
+  try {
+    const { id, department, formVersion } = req.body;
+    const { username, email } = req.user;
+
+    const dept = findDepartment(department);
+    if (!dept)
+      return sendValidationError(res, {
+        department: { code: "unknown_department", message: "Unknown department" },
+      });
+
+    if (!dept.open)
+      return res
+        .status(409)
+        .json({ error: `${dept.name} is not accepting applications right now` });
+
+    const form = await getForm(dept.code, dept.formVersion);
+    if (!form)
+      return res.status(500).json({ error: "Department has no application form" });
+
+    // Applicant filled in an older version of the form
+    if (formVersion && formVersion !== form.version)
+      return res.status(409).json({
+        error: "The application form has changed, please reload and try again",
+        code: "FORM_OUTDATED",
+        formVersion: form.version,
+      });
+
+    let answers = req.body.answers;
+    if (answers === undefined && req.body.reason !== undefined)
+      answers = { reason: req.body.reason };
+
+    if (!answers || typeof answers !== "object" || Array.isArray(answers))
+      return sendValidationError(res, {
+        answers: { code: "required", message: "Answers are required" },
+      });
+
+    const checked = checkAnswers(form.fields, answers);
+    if (checked.errors) return sendValidationError(res, checked.errors);
+
+    // PREVENT SAME APPLICATION ID, BUT ALLOW MULTIPLE APPLICATIONS
+    // just ensure they don't submit the same ID twice
+    const exists = await Applications.findOne({ id });
+    if (exists) return res.status(409).json({ error: "Exists" });
+
+    await Applications.insertOne({
+      id,
+      username,
+      email,
+      department: dept.code,
+      formVersion: form.version,
+      answers: checked.value,
+      // kept for list views / older pages
+      reason: typeof checked.value.reason === "string" ? checked.value.reason : null,
+      searchText: answersText(checked.value),
+      agreedLogging: true,
+      agreedDiscord: true,
+      status: "pending",
+      stage: "submitted",
+      stageHistory: [
+        { from: null, to: "submitted", at: new Date(), by: req.user.id, note: null },
+      ],
+      assignedTo: null,
+      notes: [],
+      submittedAt: new Date().toISOString(),
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ APPLY ERROR:", err);
+    res.status(500).json({ error: "Internal" });
+  }
+});
+
+
+/* Decide on an application */
+app.post("/applications/:id/decision", requireAuth, requirePanel("staff"), requirePermission("applications.decide"), validate(schemas.applicationDecision), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, reason } = req.body;
+
+    // Find application
+    const appDoc = await Applications.findOne(live({ id }));
+    if (!appDoc) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    // A decision is the move to a final pipeline stage
+    const moved = await moveApplication(req, appDoc, decision, { note: reason || null });
+    if (moved.error) {
+      const { status, ...body } = moved;
+      return res.status(status).json(body);
+    }
+
+    await recordAudit(req, {
+      action: "application.decide",
+      targetType: "application",
+      targetId: id,
+      before: appDoc,
+      after: moved.application,
+      reason: reason || null,
+    });
+
+    const emailStatus = await deliverDecisionEmail(id);
+
+    res.json({ message: `Application ${decision} successfully.`, emailStatus });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to update application decision" });
+  }
+});
+
+
+/* ===============================================
+   GET APPLICATIONS BY USER EMAIL
+   Used by profile pages — your own, or anyone's with applications.view
+   =============================================== */
+app.get("/applications/user/:email", requireAuth, validate(schemas.applicationsByEmail), async (req, res) => {
+  try {
+    const email = decodeURIComponent(req.params.email).toLowerCase();
+    if (email !== String(req.user.email).toLowerCase() && !hasPermission(req.user, "applications.view"))
+      return res.status(403).json({ error: "You can only view your own applications" });
+
+    const page = await paginate(Applications, {
+      filter: applicationFilter(req.query, { email }),
+      projection: APPLICATION_LIST_PROJECTION,
+      ...pageOptions(req.query),
+    });
+    sendPage(res, page);
+  } catch (err) {
+    console.error("APPLICATION FETCH ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch applications" });
+  }
+});
+
+/* ===========================
+   APPLICATION FILTER ROUTES
+   =========================== */
+
+/* Get ONLY pending apps (?stage= narrows to one pipeline stage) */
+app.get("/applications/pending", optionalAuth, validate(schemas.applicationFilters), async (req, res) => {
+  try {
+    const page = await applicationPage(req, { status: "pending" });
+    sendPage(res, page);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch pending applications" });
+  }
+});
+
+/* Get ONLY previous (accepted/denied) apps (?reached=interview_failed etc.) */
+app.get("/applications/history", optionalAuth, validate(schemas.applicationFilters), async (req, res) => {
+  try {
+    const page = await applicationPage(req, { status: { $ne: "pending" } });
+    sendPage(res, page);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch application history" });
+  }
+});
+
+/* ===========================
+   DELETE APPLICATION (STAFF ONLY)
+   =========================== */
+app.delete("/applications/:id", requireAuth, requirePanel("staff"), requirePermission("applications.delete"), validate(schemas.deleteApplication), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const appDoc = await Applications.findOne(live({ id }));
+    if (!appDoc) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    if (!(await moveToTrash(req, "application", appDoc, req.body?.reason || null)))
+      return res.status(404).json({ error: "Application not found" });
+
+    await recordAudit(req, {
+      action: "application.delete",
+      targetType: "application",
+      targetId: id,
+      before: appDoc,
+      reason: req.body?.reason || null,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ APP DELETE ERROR:", err);
+    res.status(500).json({ error: "Failed to delete application" });
+  }
+});
+
+/* ===========================
+   APPLICATIONS – REQUIRED ENDPOINT
+   =========================== */
+
+app.get("/applications", optionalAuth, validate(schemas.applicationFilters), async (req, res) => {
+  try {
+    const page = await applicationPage(req);
+    sendPage(res, page);
+  } catch (err) {
+    console.error("❌ Failed to load applications:", err);
+    res.status(500).json({ error: "Failed to load applications" });
+  }
+});
+
+/* ===========================
+   APPLICATION REVIEW (STAFF)
+   Stages, reviewer assignment and internal notes
+   =========================== */
+
+/* Full application incl. internal notes and stage history */
+app.get("/applications/:id", requireAuth, requirePanel("staff"), requirePermission("applications.view"), validate(schemas.applicationById), async (req, res) => {
+  try {
+    const appDoc = await Applications.findOne(live({ id: req.params.id }));
+    if (!appDoc) return res.status(404).json({ error: "Application not found" });
+
+    const dept = findDepartment(appDoc.department);
+    const stage = stageOf(appDoc);
+
+    res.json({
+      ...appDoc,
+      stage,
+      allowedStages: transitionsFor(dept)[stage] || [],
+    });
+  } catch (err) {
+    console.error("❌ APPLICATION FETCH ERROR:", err);
+    res.status(500).json({ error: "Failed to load application" });
+  }
+});
+
+/* Move an application along its department's pipeline */
+app.post("/applications/:id/stage", requireAuth, requirePanel("staff"), requirePermission("applications.decide"), validate(schemas.applicationStage), async (req, res) => {
+  try {
+    const { stage, note, interviewAt } = req.body;
+
+    if (stage === "interview_scheduled" && !interviewAt)
+      return sendValidationError(res, {
+        interviewAt: { code: "required", message: "Interview time is required" },
+      });
+
+    const appDoc = await Applications.findOne(live({ id: req.params.id }));
+    if (!appDoc) return res.status(404).json({ error: "Application not found" });
+
+    const moved = await moveApplication(req, appDoc, stage, {
+      note: note || null,
+      interviewAt: interviewAt || null,
+    });
+    if (moved.error) {
+      const { status, ...body } = moved;
+      return res.status(status).json(body);
+    }
+
+    await recordAudit(req, {
+      action: isFinalStage(stage) ? "application.decide" : "application.stage",
+      targetType: "application",
+      targetId: appDoc.id,
+      before: appDoc,
+      after: moved.application,
+      reason: note || null,
+    });
+
+    if (isFinalStage(stage)) {
+      const emailStatus = await deliverDecisionEmail(appDoc.id);
+      return res.json({ ...moved.application, emailStatus });
+    }
+
+    res.json(moved.application);
+  } catch (err) {
+    console.error("❌ APPLICATION STAGE ERROR:", err);
+    res.status(500).json({ error: "Failed to update application stage" });
+  }
+});
+
+/* Assign (or with no reviewerId, unassign) a reviewer */
+app.post("/applications/:id/assign", requireAuth, requirePanel("staff"), requirePermission("applications.decide"), validate(schemas.applicationAssign), async (req, res) => {
+  try {
+    const { reviewerId } = req.body;
+
+    const appDoc = await Applications.findOne(live({ id: req.params.id }));
+    if (!appDoc) return res.status(404).json({ error: "Application not found" });
+
+    if (reviewerId) {
+      const reviewer = await Users.findOne({ id: reviewerId });
+      if (!reviewer) return res.status(404).json({ error: "Reviewer not found" });
+      if (!hasPermission(reviewer, "applications.view"))
+        return res.status(400).json({ error: "Reviewer can't view applications" });
+    }
+
+    const update = {
+      assignedTo: reviewerId || null,
+      assignedBy: req.user.id,
+      assignedAt: new Date(),
+    };
+    await Applications.updateOne({ id: appDoc.id }, { $set: update });
+
+    await recordAudit(req, {
+      action: "application.assign",
+      targetType: "application",
+      targetId: appDoc.id,
+      before: { assignedTo: appDoc.assignedTo || null },
+      after: { assignedTo: update.assignedTo },
+    });
+
+    res.json({ success: true, ...update });
+  } catch (err) {
+    console.error("❌ APPLICATION ASSIGN ERROR:", err);
+    res.status(500).json({ error: "Failed to assign reviewer" });
+  }
+});
+
+/* What the applicant gets (or got) for a decision */
+app.get("/applications/:id/decision-email", requireAuth, requirePanel("staff"), requirePermission("applications.view"), validate(schemas.decisionEmailPreview), async (req, res) => {
+  try {
+    const appDoc = await Applications.findOne(live({ id: req.params.id }));
+    if (!appDoc) return res.status(404).json({ error: "Application not found" });
+
+    const decision = req.query.decision || (isFinalStage(appDoc.status) ? appDoc.status : null);
+    if (!decision)
+      return res.status(400).json({ error: "Application is undecided — pass ?decision= to preview" });
+
+    const reason = req.query.decision ? req.query.reason || null : appDoc.decisionReason;
+    const { subject, html, text, locale } = await decisionEmailContent(appDoc, decision, reason);
+
+    res.json({
+      to: appDoc.email,
+      locale,
+      subject,
+      html,
+      text,
+      delivery: appDoc.decisionEmail || null,
+    });
+  } catch (err) {
+    console.error("❌ DECISION EMAIL PREVIEW ERROR:", err);
+    res.status(500).json({ error: "Failed to build email preview" });
+  }
+});
+
+/* Send the decision email again (e.g. after a failed delivery) */
+app.post("/applications/:id/decision-email/resend", requireAuth, requirePanel("staff"), requirePermission("applications.decide"), validate(schemas.applicationById), async (req, res) => {
+  try {
+    const appDoc = await Applications.findOne(live({ id: req.params.id }));
+    if (!appDoc) return res.status(404).json({ error: "Application not found" });
+    if (!isFinalStage(appDoc.status))
+      return res.status(409).json({ error: "Application has not been decided yet" });
+
+    const emailStatus = await deliverDecisionEmail(appDoc.id, { resend: true });
+    if (!emailStatus)
+      return res.status(409).json({ error: "The email is already queued" });
+
+    await recordAudit(req, {
+      action: "application.email_resend",
+      targetType: "application",
+      targetId: appDoc.id,
+      meta: { emailStatus, previous: appDoc.decisionEmail?.status || null },
+    });
+
+    res.json({ success: true, emailStatus });
+  } catch (err) {
+    console.error("❌ DECISION EMAIL RESEND ERROR:", err);
+    res.status(500).json({ error: "Failed to resend decision email" });
+  }
+});
+
+/* Internal reviewer note — only visible through GET /applications/:id */
+app.post("/applications/:id/notes", requireAuth, requirePanel("staff"), requirePermission("applications.view"), validate(schemas.applicationNote), async (req, res) => {
+  try {
+    const appDoc = await Applications.findOne(live({ id: req.params.id }));
+    if (!appDoc) return res.status(404).json({ error: "Application not found" });
+
+    const note = {
+      id: crypto.randomUUID(),
+      by: req.user.id,
+      byUsername: req.user.username,
+      at: new Date(),
+      text: req.body.text,
+    };
+
+    const r = await Applications.updateOne(live({ id: appDoc.id }), { $push: { notes: note } });
+    if (!r.matchedCount) return res.status(404).json({ error: "Application not found" });
+
+    await recordAudit(req, {
+      action: "application.note",
+      targetType: "application",
+      targetId: appDoc.id,
+      after: note,
+    });
+
+    res.status(201).json(note);
+  } catch (err) {
+    console.error("❌ APPLICATION NOTE ERROR:", err);
+    res.status(500).json({ error: "Failed to add note" });
+  }
+});
+
+
+/* ===========================
+   USERS
+   =========================== */
+
+app.post("/users/register", rateLimits.register, validate(schemas.register), async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+    const locale = pickLocale(
+      req.body.locale,
+      ...parseAcceptLanguage(req.headers["accept-language"])
+    );
+
+    // =========================
+    // CHECK IF ALREADY A REAL USER
+    // =========================
+    const exists = await Users.findOne({ email });
+    if (exists)
+      return res.status(409).json({ error: "Email already registered" });
+
+    // =========================
+    // REMOVE ANY OLD PENDING ACCOUNT
+    // =========================
+    await PendingUsers.deleteMany({ email });
 
     // =========================
     // CREATE VERIFICATION TOKEN
     // =========================
     const token = crypto.randomBytes(32).toString("hex");
 
-    await PendingUsers.insertOne({
-      username,
-      email,
-      password,        // stored temporarily UNTIL verification
-      token,
-      createdAt: new Date(),
-      ip: getClientIP(req)
+    await PendingUsers.insertOne({
+      username,
+      email,
+      password: await hashPassword(password), // hashed — copied to Users on verification
+      token,
+      locale,
+      createdAt: new Date(),
+      ip: getClientIP(req)
+    });
+
+    // =========================
+    // SEND VERIFICATION EMAIL
+    // =========================
+    // A queue failure must not fail registration — registering again
+    // replaces the pending account and sends a fresh link
+    try {
+      await queueTemplateEmail("verify", { username, token }, { to: email, name: username, locale });
+    } catch (err) {
+      console.error("❌ Verification email queue error:", err);
+    }
+
+    // =========================
+    // RETURN SUCCESS (NO ACCOUNT CREATED YET)
+    // =========================
+    res.json({
+      success: true,
+      message:
+        "Verification email sent. Your account will be created after email confirmation."
+    });
+
+  } catch (err) {
+    console.error("❌ REGISTER ERROR:", err);
+    res.status(500).json({ error: "Registration failed" });
+  }
+});
+
+
+/* Shared final step of password login and 2FA login */
+async function completeLogin(req, res, user, hwid) {
+  // Update login metadata
+  await Users.updateOne(
+    { id: user.id },
+    {
+      $set: {
+        lastLoginAt: new Date().toISOString(),
+        lastIP: getClientIP(req),
+        hwid: hwid || user.hwid || generateHWID(),
+      },
+    }
+  );
+
+  // Determine department membership
+  const hasDept = await Applications.findOne(live({
+    email: user.email,
+    status: "accepted",
+  }));
+
+  // Timed bans that ran out are lifted here at the latest
+  const ban = await currentBanState(user);
+
+  // Issue access + refresh tokens
+  const tokens = await createSession(req, user);
+
+  // Return authorized session
+  return res.json({
+    success: true,
+    message: "OK",
+    ...tokens,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      hasDepartment: !!hasDept,
+      department: hasDept ? departmentCode(hasDept.department) : null,
+      isStaff: isStaff(user),
+      rank: rankOf(user.role),
+      permissions: permissionsFor(user.role),
+      staffTag: user.staffTag || null,
+      staffIcon: user.staffIcon || null,
+      banned: ban.banned,
+      banReason: ban.banReason,
+      banDate: ban.banDate,
+      banExpiresAt: ban.banExpiresAt,
+      banScope: ban.banScope,
+      restrictions: await activeRestrictionScopes(user.id),
+      bio: user.bio || "",
+      pfp: user.pfp || null,
+      locale: pickLocale(user.locale),
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      twoFactorSetupRequired: needsTwoFactorSetup(user),
+    },
+  });
+}
+
+app.post("/users/login", rateLimits.login, validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password, hwid } = req.body;
+
+    // 🔒 Locked after repeated failures
+    const lockout = await getActiveLockout(email);
+    if (lockout) return sendLockedOut(res, lockout.lockedUntil);
+
+    // Check user credentials
+    const user = await Users.findOne(live({ email }));
+    if (!user || !(await verifyPassword(password, user.password))) {
+      const lockedUntil = await registerLoginFailure(req, email);
+      if (lockedUntil) return sendLockedOut(res, lockedUntil);
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    // Migrate legacy plaintext / outdated hashes on successful login
+    if (needsRehash(user.password)) {
+      await Users.updateOne(
+        { id: user.id, password: user.password },
+        { $set: { password: await hashPassword(password) } }
+      );
+    }
+
+    // 🚫 BLOCK UNVERIFIED ACCOUNTS
+    if (!user.verified) {
+      return res.status(403).json({
+        error: "Please verify your email before logging in"
+      });
+    }
+
+    await clearLoginFailures(email);
+
+    // 🔐 2FA ENABLED → hand back a short-lived challenge instead of a session
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: signToken(
+          "2fa-challenge",
+          { sub: user.id, hwid: hwid || null },
+          TWO_FACTOR_CHALLENGE_TTL_MS
+        ),
+      });
+    }
+
+    return completeLogin(req, res, user, hwid);
+
+  } catch (err) {
+    console.error("❌ LOGIN ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Second login step for 2FA accounts: authenticator code or recovery code */
+app.post("/users/login/2fa", rateLimits.twoFactor, validate(schemas.login2fa), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyToken(challengeToken, "2fa-challenge");
+    if (!challenge)
+      return res.status(401).json({ error: "Login challenge expired, please log in again" });
+
+    const user = await Users.findOne(live({ id: challenge.sub }));
+    if (!user) return res.status(401).json({ error: "Invalid email or password" });
+
+    const lockout = await getActiveLockout(user.email);
+    if (lockout) return sendLockedOut(res, lockout.lockedUntil);
+
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      const lockedUntil = await registerLoginFailure(req, user.email);
+      if (lockedUntil) return sendLockedOut(res, lockedUntil);
+      return res.status(401).json({ error: "Invalid authentication code" });
+    }
+
+    await clearLoginFailures(user.email);
+
+    return completeLogin(req, res, user, challenge.hwid);
+  } catch (err) {
+    console.error("❌ 2FA LOGIN ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Exchange a refresh token for a fresh token pair (rotates the refresh token) */
+app.post("/users/refresh", validate(schemas.refresh), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const presented = hashToken(refreshToken);
+    const nextRefreshToken = generateOpaqueToken();
+
+    // check and rotate in one step — only one request can use a refresh token
+    const session = await Sessions.findOneAndUpdate(
+      { refreshTokenHash: presented, revokedAt: null, expiresAt: { $gt: new Date() } },
+      {
+        $set: {
+          refreshTokenHash: hashToken(nextRefreshToken),
+          lastUsedAt: new Date(),
+          ip: getClientIP(req),
+        },
+        // remembered so a replayed token can be recognised
+        $push: { usedRefreshTokenHashes: { $each: [presented], $slice: -20 } },
+      }
+    );
+
+    if (!session) {
+      // an already rotated token coming back means it was copied — end the session
+      const reused = await Sessions.findOneAndUpdate(
+        { usedRefreshTokenHashes: presented, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokeReason: "Refresh token reused" } }
+      );
+      if (reused) console.warn("⚠️ Refresh token reuse, session revoked:", reused.id);
+      return res.status(401).json({ error: "Session expired" });
+    }
+
+    const user = await Users.findOne(live({ id: session.userId }));
+    if (!user) return res.status(401).json({ error: "Session expired" });
+
+    res.json({
+      success: true,
+      accessToken: issueAccessToken(user.id, session.id),
+      refreshToken: nextRefreshToken,
+      expiresAt: session.expiresAt,
+    });
+  } catch (err) {
+    console.error("❌ REFRESH ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Log out the current device */
+app.post("/users/logout", requireAuth, async (req, res) => {
+  try {
+    await Sessions.updateOne(
+      { id: req.authSession.id },
+      { $set: { revokedAt: new Date() } }
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ LOGOUT ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Log out every device for this account */
+app.post("/users/logout-all", requireAuth, async (req, res) => {
+  try {
+    const r = await Sessions.updateMany(
+      { userId: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    res.json({ success: true, revoked: r.modifiedCount });
+  } catch (err) {
+    console.error("❌ LOGOUT ALL ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+app.post("/users/change-username", requireAuth, validate(schemas.changeUsername), async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    const r = await Users.updateOne({ id: req.user.id }, { $set: { username } });
+    if (!r.matchedCount) return res.status(404).json({ error: "Not found" });
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Change password while logged in — requires the current password */
+app.post("/users/update-password", requireAuth, validate(schemas.updatePassword), async (req, res) => {
+  try {
+    const { currentPassword, password } = req.body;
+
+    if (!(await verifyPassword(currentPassword, req.user.password)))
+      return res.status(401).json({ error: "Current password is incorrect" });
+
+    const r = await Users.updateOne(
+      { id: req.user.id },
+      { $set: { password: await hashPassword(password) } }
+    );
+    if (!r.matchedCount) return res.status(404).json({ error: "Not found" });
+
+    // Keep this device signed in, revoke every other session
+    await Sessions.updateMany(
+      { userId: req.user.id, id: { $ne: req.authSession.id }, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ UPDATE PASSWORD ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ===========================
+   TWO-FACTOR AUTHENTICATION
+   =========================== */
+
+/* Step 1: create a pending secret and return it for the authenticator app */
+app.post("/users/2fa/setup", requireAuth, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled)
+      return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+
+    const secret = generateSecret();
+    await Users.updateOne(
+      { id: req.user.id },
+      { $set: { "twoFactor.pendingSecret": secret, "twoFactor.enabled": false } }
+    );
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: otpauthUri(secret, req.user.email),
+    });
+  } catch (err) {
+    console.error("❌ 2FA SETUP ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Step 2: confirm with a code from the app → 2FA on, recovery codes shown once */
+app.post("/users/2fa/enable", requireAuth, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const { code } = req.body;
+    const pendingSecret = req.user.twoFactor?.pendingSecret;
+
+    if (req.user.twoFactor?.enabled)
+      return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+    if (!pendingSecret)
+      return res.status(400).json({ error: "Start two-factor setup first" });
+
+    const step = verifyTotp(pendingSecret, code);
+    if (step === null)
+      return res.status(401).json({ error: "Invalid authentication code" });
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await Users.updateOne(
+      { id: req.user.id },
+      {
+        $set: {
+          twoFactor: {
+            enabled: true,
+            secret: pendingSecret,
+            pendingSecret: null,
+            recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+            lastUsedStep: step,
+            enabledAt: new Date(),
+          },
+        },
+      }
+    );
+
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error("❌ 2FA ENABLE ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Turn 2FA off — needs the password AND a current code / recovery code */
+app.post("/users/2fa/disable", requireAuth, validate(schemas.twoFactorDisable), async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactor?.enabled)
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+
+    if (!(await verifyPassword(password, req.user.password)))
+      return res.status(401).json({ error: "Invalid password" });
+
+    if (!(await checkSecondFactor(req.user, { code, recoveryCode })))
+      return res.status(401).json({ error: "Invalid authentication code" });
+
+    await Users.updateOne({ id: req.user.id }, { $unset: { twoFactor: "" } });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ 2FA DISABLE ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Replace all recovery codes (old ones stop working) */
+app.post("/users/2fa/recovery-codes", requireAuth, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactor?.enabled)
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+
+    if (!(await checkSecondFactor(req.user, { code })))
+      return res.status(401).json({ error: "Invalid authentication code" });
+
+    const recoveryCodes = generateRecoveryCodes();
+    await Users.updateOne(
+      { id: req.user.id },
+      { $set: { "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode) } }
+    );
+
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error("❌ 2FA RECOVERY CODES ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ===========================
+   PASSWORD RESET (FORGOT PASSWORD)
+   =========================== */
+
+/* Request a reset link — always answers the same way so emails can't be probed */
+app.post("/users/forgot-password", rateLimits.passwordReset, validate(schemas.forgotPassword), async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: "If an account exists for that email, a reset link has been sent.",
+  };
+
+  try {
+    const { email } = req.body;
+
+    const user = await Users.findOne(live({ email }));
+    if (!user) return res.json(genericResponse);
+
+    // Only the newest link stays valid
+    await PasswordResets.updateMany(
+      { userId: user.id, usedAt: null },
+      { $set: { usedAt: new Date(), superseded: true } }
+    );
+
+    const token = generateOpaqueToken();
+    const now = new Date();
+
+    await PasswordResets.insertOne({
+      id: crypto.randomUUID(),
+      userId: user.id,
+      tokenHash: hashToken(token),
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MS),
+      usedAt: null,
+      ip: getClientIP(req),
+    });
+
+    try {
+      await queueTemplateEmail(
+        "passwordReset",
+        { username: user.username, token },
+        { to: user.email, name: user.username, locale: user.locale }
+      );
+    } catch (err) {
+      console.error("❌ Password reset email queue error:", err);
+    }
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error("❌ FORGOT PASSWORD ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Consume a reset link and set the new password */
+app.post("/users/reset-password", validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const now = new Date();
+
+    // Claim the token atomically so it can only be used once
+    const reset = await PasswordResets.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now, usedIP: getClientIP(req) } }
+    );
+
+    if (!reset)
+      return res.status(400).json({ error: "Invalid or expired reset link" });
+
+    const user = await Users.findOneAndUpdate(
+      { id: reset.userId },
+      { $set: { password: await hashPassword(password) } }
+    );
+    if (!user) return res.status(404).json({ error: "Not found" });
+
+    // Sign out everywhere (panels too) — whoever had the old password loses access
+    await Sessions.updateMany(
+      { userId: reset.userId, revokedAt: null },
+      { $set: { revokedAt: now } }
+    );
+    await PanelSessions.updateMany(
+      { userId: reset.userId, revokedAt: null },
+      { $set: { revokedAt: now } }
+    );
+
+    // The owner proved who they are — failed guesses no longer count against them
+    await clearLoginFailures(user.email);
+
+    res.json({
+      success: true,
+      message: "Password updated. You can now log in.",
+    });
+  } catch (err) {
+    console.error("❌ RESET PASSWORD ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+app.post("/users/update", requireAuth, validate(schemas.updateProfile), async (req, res) => {
+  try {
+    const { bio, pfp, locale } = req.body;
+
+    const update = {};
+    if (bio !== undefined) update.bio = bio;
+    if (pfp !== undefined) update.pfp = pfp;
+    if (locale !== undefined) update.locale = locale;
+
+    if (!Object.keys(update).length)
+      return res.status(400).json({ error: "Nothing to update" });
+
+    const r = await Users.updateOne({ id: req.user.id }, { $set: update });
+    if (!r.matchedCount) return res.status(404).json({ error: "Not found" });
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/// VERIFICATION TOKENS
+
+app.get("/users/verify/:token", validate(schemas.verifyAccount), async (req, res) => {
+  try {
+    const token = req.params.token;
+
+    // 1) Find pending registration
+    const pending = await PendingUsers.findOne({ token });
+
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired verification link"
+      });
+    }
+
+    // 2) Double-check no real account already exists
+    const exists = await Users.findOne({ email: pending.email });
+    if (exists) {
+      // Cleanup stale pending registrations
+      await PendingUsers.deleteOne({ _id: pending._id });
+      return res.status(409).json({
+        success: false,
+        error: "Account already exists"
+      });
+    }
+
+    // 3) Create real account now
+    const userId = crypto.randomUUID();
+    const hwid = generateHWID();
+
+    await Users.insertOne({
+      id: userId,
+      username: pending.username,
+      email: pending.email,
+      password: pending.password, // already hashed at registration
+      role: "user",
+      staffTag: null,
+      staffIcon: null,
+
+      banned: false,
+      banReason: null,
+      banDate: null,
+
+      locale: pickLocale(pending.locale),
+
+      createdAt: new Date().toISOString(),
+      lastIP: pending.ip || null,
+      lastLoginAt: null,
+      hwid,
+      verified: true, // 🚀 IMPORTANT
+    });
+
+    // 4) Remove pending entry
+    await PendingUsers.deleteOne({ _id: pending._id });
+
+    // 5) Respond with success
+    return res.json({
+      success: true,
+      message: "Account verified successfully. You can now log in."
+    });
+
+  } catch (err) {
+    console.error("❌ VERIFY ERROR:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Server error during verification"
+    });
+  }
+});
+
+
+
+/* ===========================
+   APPEALS SYSTEM
+   =========================== */
+
+/* CREATE APPEAL — against one of the caller's bans, restrictions, denied applications or removed posts */
+app.post("/appeals", requireAuth, rateLimits.appeal, validate(schemas.createAppeal), async (req, res) => {
+  try {
+    const { type, targetId, reason } = req.body;
+    const { id: userId, username } = req.user;
+
+    // Only a ban can be found without being named
+    if (type !== "ban" && !targetId)
+      return sendValidationError(res, {
+        targetId: { code: "required", message: "Choose what you are appealing" },
+      });
+
+    const subject = await APPEAL_SUBJECTS[type].load(req.user, targetId);
+    if (subject.error) {
+      const { status, ...body } = subject;
+      return res.status(status).json(body);
+    }
+
+    if (!withinAppealWindow(type, subject.actedAt))
+      return res.status(409).json({
+        error: "The time to appeal this has passed.",
+        code: "APPEAL_WINDOW_CLOSED",
+      });
+
+    const target = { type, targetId: subject.target.id };
+
+    // One open appeal per target
+    const existing = await Appeals.findOne({ ...target, status: "pending" });
+    if (existing)
+      return res.status(409).json({ error: "You already have a pending appeal." });
+
+    // Cool-down after a denial
+    const lastDenied = await Appeals.findOne(
+      { ...target, status: "denied" },
+      { sort: { handledAt: -1 } }
+    );
+    const retryAt = lastDenied && new Date(new Date(lastDenied.handledAt).getTime() + APPEAL_COOLDOWN_MS);
+    if (retryAt && retryAt > new Date())
+      return res.status(409).json({
+        error: "Your last appeal for this was denied recently. Please wait before appealing again.",
+        code: "APPEAL_COOLDOWN",
+        retryAt,
+      });
+
+    const appeal = {
+      id: crypto.randomUUID(),
+      ...target,
+      target: subject.snapshot,
+      reviewer: APPEAL_TYPES[type].reviewer,
+      department: subject.department || null,
+      actorId: subject.actorId,
+      userId,
+      username,
+      reason,
+      messages: [],
+      createdAt: new Date().toISOString(),
+      status: "pending",
+      outcome: null,
+      handledBy: null,
+      handledById: null,
+      handledAt: null
+    };
+
+    await Appeals.insertOne(appeal);
+
+    res.json({ success: true, id: appeal.id });
+  } catch (err) {
+    console.error("APPEAL CREATE ERROR:", err);
+    res.status(500).json({ error: "Failed to submit appeal." });
+  }
+});
+
+/* What can be appealed, who reviews it and what accepting does */
+app.get("/appeals/types", (req, res) => {
+  res.json(APPEAL_TYPES);
+});
+
+/* LIST APPEALS (STAFF) — ?status= / ?type= / ?reviewable=true for the caller's queue */
+app.get("/appeals", requireAuth, requirePanel("staff"), requirePermission("appeals.view"), validate(schemas.appealList), async (req, res) => {
+  try {
+    const filter = appealFilter(req.query);
+
+    if (req.query.reviewable) {
+      const scope = reviewableAppealsFilter(req.user);
+      if (!scope)
+        return res.json({ items: [], total: 0, limit: req.query.limit, nextCursor: null });
+      Object.assign(filter, scope);
+    }
+
+    const page = await paginate(Appeals, {
+      filter,
+      projection: { _id: 0, messages: 0 },
+      ...pageOptions(req.query),
+    });
+    sendPage(res, page);
+  } catch (err) {
+    console.error("APPEAL LIST ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch appeals." });
+  }
+});
+
+/* The caller's own appeals */
+app.get("/appeals/mine", requireAuth, validate(schemas.myAppeals), async (req, res) => {
+  try {
+    const page = await paginate(Appeals, {
+      filter: appealFilter(req.query, { userId: req.user.id }),
+      projection: APPEAL_OWNER_PROJECTION,
+      ...pageOptions(req.query),
+    });
+    sendPage(res, page);
+  } catch (err) {
+    console.error("APPEAL LIST ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch appeals." });
+  }
+});
+
+/* One appeal with its conversation */
+app.get("/appeals/:id", requireAuth, validate(schemas.appealById), async (req, res) => {
+  try {
+    const appeal = await Appeals.findOne({ id: req.params.id }, { projection: { _id: 0 } });
+    if (!appeal || !canViewAppeal(req.user, appeal))
+      return res.status(404).json({ error: "Appeal not found." });
+
+    if (appeal.userId === req.user.id) delete appeal.actorId;
+    res.json(appeal);
+  } catch (err) {
+    console.error("APPEAL FETCH ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch appeal." });
+  }
+});
+
+/* Add a message to an open appeal (appellant or staff) */
+app.post("/appeals/:id/messages", requireAuth, rateLimits.appealMessage, validate(schemas.appealMessage), async (req, res) => {
+  try {
+    const appeal = await Appeals.findOne({ id: req.params.id });
+    if (!appeal || !canViewAppeal(req.user, appeal))
+      return res.status(404).json({ error: "Appeal not found." });
+
+    const fromStaff = appeal.userId !== req.user.id;
+    const message = {
+      id: crypto.randomUUID(),
+      authorId: req.user.id,
+      authorName: req.user.username,
+      fromStaff,
+      body: req.body.body,
+      createdAt: new Date(),
+    };
+
+    const r = await Appeals.updateOne(
+      { id: appeal.id, status: "pending" },
+      { $push: { messages: message } }
+    );
+    if (!r.matchedCount)
+      return res.status(409).json({ error: "This appeal is closed." });
+
+    res.status(201).json(message);
+  } catch (err) {
+    console.error("APPEAL MESSAGE ERROR:", err);
+    res.status(500).json({ error: "Failed to send message." });
+  }
+});
+
+/* SET APPEAL DECISION (accept / deny) — application appeals can also be decided from the department route */
+app.post("/appeals/:id/decision", requireAuth, requirePanel("staff"), validate(schemas.appealDecision), async (req, res) => {
+  try {
+    const appeal = await Appeals.findOne({ id: req.params.id });
+    if (!appeal)
+      return res.status(404).json({ error: "Appeal not found." });
+
+    const result = await decideAppeal(req, appeal, {
+      status: req.body.status,
+      reason: req.body.reason || null,
+    });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    res.json({ success: true, outcome: result.appeal.outcome });
+  } catch (err) {
+    console.error("APPEAL DECISION ERROR:", err);
+    res.status(500).json({ error: "Failed to update appeal status." });
+  }
+});
+
+/*
+ * Kept for older panels — accepting an appeal already lifts the ban.
+ * Only appeals accepted before that still have something to lift.
+ */
+app.post("/appeals/:id/unban", requireAuth, requirePanel("staff"), requirePermission("appeals.bans"), validate(schemas.appealById), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const appeal = await Appeals.findOne({ id, type: "ban" });
+
+    if (!appeal)
+      return res.status(404).json({ error: "Appeal not found." });
+
+    if (appeal.status !== "accepted")
+      return res.status(409).json({ error: "Accept the appeal to lift the ban." });
+
+    const target = await Users.findOne({ id: appeal.userId });
+    if (!target)
+      return res.status(404).json({ error: "User not found." });
+
+    const { lifted, state } = await liftBans(req, target.id, {
+      banId: appeal.targetId || null,
+      reason: "Appeal accepted",
+      appealId: id,
+    });
+
+    if (lifted) {
+      await recordAudit(req, {
+        action: "user.unban",
+        targetType: "user",
+        targetId: target.id,
+        before: target,
+        after: { ...target, ...state },
+        meta: { appealId: id, liftedBans: lifted },
+      });
+    }
+
+    res.json({ success: true, liftedBans: lifted, banned: state.banned });
+  } catch (err) {
+    console.error("APPEAL UNBAN ERROR:", err);
+    res.status(500).json({ error: "Failed to unban user." });
+  }
+});
+
+/* DELETE APPEAL (HA ONLY) */
+app.delete("/appeals/:id", requireAuth, requirePanel("staff"), requirePermission("appeals.delete"), validate(schemas.appealById), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const appeal = await Appeals.findOne({ id });
+
+    if (!appeal)
+      return res.status(404).json({ success: false, error: "Appeal not found." });
+
+    await Appeals.deleteOne({ id });
+
+    await recordAudit(req, {
+      action: "appeal.delete",
+      targetType: "appeal",
+      targetId: id,
+      before: appeal,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("APPEAL DELETE ERROR:", err);
+    res.status(500).json({ success: false, error: "Failed to delete appeal." });
+  }
+});
+
+
+
+/* ===========================
+   AUDIT LOG (INTERNAL AFFAIRS / HEAD ADMIN)
+   =========================== */
+
+/* Filterable, paginated audit entries — newest first */
+app.get("/audit", requireAuth, requirePanel("staff"), requirePermission("audit.view"), validate(schemas.auditQuery), async (req, res) => {
+  try {
+    const page = await paginate(AuditLog, {
+      filter: auditFilter(req.query),
+      projection: { _id: 0 },
+      ...pageOptions(req.query),
+    });
+    sendPage(res, page);
+  } catch (err) {
+    console.error("❌ AUDIT QUERY ERROR:", err);
+    res.status(500).json({ error: "Failed to load audit log" });
+  }
+});
+
+/* Export the filtered audit log as CSV or JSON */
+app.get("/audit/export", requireAuth, requirePanel("staff"), requirePermission("audit.view"), validate(schemas.auditQuery), async (req, res) => {
+  try {
+    const { format } = req.query;
+
+    const entries = await AuditLog.find(auditFilter(req.query), {
+      projection: { _id: 0 },
+    })
+      .sort({ createdAt: -1 })
+      .limit(AUDIT_EXPORT_LIMIT)
+      .toArray();
+
+    await recordAudit(req, {
+      action: "audit.export",
+      targetType: "auditLog",
+      targetId: null,
+      meta: { filter: req.query, count: entries.length },
+    });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "csv") {
+      res.type("text/csv").send(toCSV(entries));
+    } else {
+      res.json(entries);
+    }
+  } catch (err) {
+    console.error("❌ AUDIT EXPORT ERROR:", err);
+    res.status(500).json({ error: "Failed to export audit log" });
+  }
+});
+
+
+/* ===========================
+   LOGIN LOCKOUTS (STAFF)
+   =========================== */
+
+/* Accounts with recent failed logins — ?active=true for locked ones only */
+app.get("/lockouts", requireAuth, requirePanel("staff"), requirePermission("lockouts.manage"), validate(schemas.lockoutList), async (req, res) => {
+  try {
+    const page = await paginate(LoginLockouts, {
+      filter: req.query.active ? { lockedUntil: { $gt: new Date() } } : {},
+      projection: { _id: 0 },
+      ...pageOptions(req.query),
+    });
+    sendPage(res, page);
+  } catch (err) {
+    console.error("❌ LOCKOUT LIST ERROR:", err);
+    res.status(500).json({ error: "Failed to load lockouts" });
+  }
+});
+
+/* Clear a lockout (key = account email) */
+app.delete("/lockouts/:key", requireAuth, requirePanel("staff"), requirePermission("lockouts.manage"), validate(schemas.lockoutClear), async (req, res) => {
+  try {
+    const key = lockoutKey(req.params.key);
+    const lockout = await LoginLockouts.findOne({ key });
+    if (!lockout) return res.status(404).json({ error: "Lockout not found" });
+
+    await LoginLockouts.deleteOne({ key });
+
+    // Reset the per-account login counter too
+    await rateLimitStore.reset(`login:account:${key}`);
+
+    await recordAudit(req, {
+      action: "lockout.clear",
+      targetType: "lockout",
+      targetId: key,
+      before: lockout,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ LOCKOUT CLEAR ERROR:", err);
+    res.status(500).json({ error: "Failed to clear lockout" });
+  }
+});
+
+
+/* ===========================
+   EMAIL QUEUE (STAFF)
+   =========================== */
+
+/* Delivery status per message — bodies are left out, they can hold one-time links */
+app.get("/email-queue", requireAuth, requirePanel("staff"), requirePermission("emails.manage"), validate(schemas.emailQueueList), async (req, res) => {
+  try {
+    const { status, kind, to } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (kind) filter.kind = kind;
+    if (to) filter.to = to;
+
+    const page = await paginate(EmailMessages, {
+      filter,
+      projection: { _id: 0, html: 0, text: 0 },
+      ...pageOptions(req.query),
+    });
+    sendPage(res, page);
+  } catch (err) {
+    console.error("❌ EMAIL QUEUE LIST ERROR:", err);
+    res.status(500).json({ error: "Failed to load email queue" });
+  }
+});
+
+/* Put a dead-lettered message back in the queue */
+app.post("/email-queue/:id/retry", requireAuth, requirePanel("staff"), requirePermission("emails.manage"), validate(schemas.emailQueueRetry), async (req, res) => {
+  try {
+    const message = await emailQueue.retry(req.params.id);
+    if (!message)
+      return res.status(404).json({ error: "No dead or retrying message with that id" });
+
+    await recordAudit(req, {
+      action: "email.retry",
+      targetType: "email",
+      targetId: message.id,
+      meta: { kind: message.kind, to: message.to, attempts: message.attempts },
+    });
+
+    setImmediate(() => emailQueue.drain());
+    res.json({ success: true, status: message.status });
+  } catch (err) {
+    console.error("❌ EMAIL RETRY ERROR:", err);
+    res.status(500).json({ error: "Failed to retry email" });
+  }
+});
+
+
+/* ===========================
+   EMAIL TEMPLATE PREVIEW (STAFF)
+   =========================== */
+
+app.get("/email-templates", requireAuth, requirePanel("staff"), async (req, res) => {
+  try {
+    res.json({
+      locales: SUPPORTED_LOCALES,
+      templates: Object.entries(EMAIL_TEMPLATES).map(([name, tpl]) => ({
+        name,
+        sample: tpl.sample,
+      })),
+    });
+  } catch (err) {
+    console.error("❌ EMAIL TEMPLATE LIST ERROR:", err);
+    res.status(500).json({ error: "Failed to list email templates" });
+  }
+});
+
+/* Render a template with its sample data */
+app.get("/email-templates/:name/preview", requireAuth, requirePanel("staff"), validate(schemas.emailTemplatePreview), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { locale, format } = req.query;
+    const email = renderEmail(name, EMAIL_TEMPLATES[name].sample, locale || req.user.locale);
+
+    if (format === "html") return res.type("html").send(email.html);
+    if (format === "text") return res.type("text").send(email.text);
+    res.json({ name, ...email });
+  } catch (err) {
+    console.error("❌ EMAIL TEMPLATE PREVIEW ERROR:", err);
+    res.status(500).json({ error: "Failed to render email template" });
+  }
+});
+
+
+/* ===========================
+   USER ADMIN
+   =========================== */
+
+app.post("/users/:id/ban", requireAuth, requirePanel("staff"), requirePermission("users.ban"), validate(schemas.banUser), async (req, res) => {
+  try {
+    const target = await Users.findOne({ id: req.params.id });
+    if (!target) return res.status(404).json({ error: "Not found" });
+
+    if (!outranks(req.user, target))
+      return res
+        .status(403)
+        .json({ error: "You cannot ban someone at or above your rank" });
+
+    const { reason, evidence, scope, durationHours } = req.body;
+    const now = new Date();
+
+    if (req.body.expiresAt && durationHours)
+      return res.status(400).json({ error: "Send either expiresAt or durationHours, not both" });
+
+    const expiresAt = durationHours
+      ? new Date(now.getTime() + durationHours * HOUR)
+      : req.body.expiresAt || null;
+
+    if (expiresAt && expiresAt <= now)
+      return sendValidationError(res, {
+        expiresAt: { code: "in_past", message: "Must be in the future" },
+      });
+
+    const { ban, state } = await issueBan(req, target, { reason, evidence, scope, expiresAt });
+
+    res.json({ success: true, ban, ...state });
+  } catch (err) {
+    console.error("❌ BAN ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+app.post("/users/:id/unban", requireAuth, requirePanel("staff"), requirePermission("users.ban"), validate(schemas.unbanUser), async (req, res) => {
+  try {
+    const target = await Users.findOne({ id: req.params.id });
+    if (!target) return res.status(404).json({ error: "Not found" });
+
+    if (!outranks(req.user, target))
+      return res
+        .status(403)
+        .json({ error: "You cannot unban someone at or above your rank" });
+
+    const { reason, banId } = req.body;
+    const { lifted, state } = await liftBans(req, target.id, {
+      banId,
+      reason: reason || null,
+    });
+
+    if (!lifted)
+      return res.status(409).json({
+        error: banId ? "That ban is not active" : "User has no active bans",
+      });
+
+    await recordAudit(req, {
+      action: "user.unban",
+      targetType: "user",
+      targetId: target.id,
+      before: target,
+      after: { ...target, ...state },
+      reason: reason || null,
+      meta: { banId: banId || null, liftedBans: lifted },
+    });
+
+    if (!state.banned) await sendBanNotice(target, "unban", { expired: false, reason });
+
+    res.json({ success: true, lifted, ...state });
+  } catch (err) {
+    console.error("❌ UNBAN ERROR:", err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Full ban history of a user (staff) */
+app.get("/users/:id/bans", requireAuth, requirePanel("staff"), requirePermission("users.view"), validate(schemas.userById), async (req, res) => {
+  try {
+    const bans = await Bans.find({ userId: req.params.id }, { projection: { _id: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json(bans);
+  } catch (err) {
+    console.error("❌ BAN HISTORY ERROR:", err);
+    res.status(500).json({ error: "Failed to load ban history" });
+  }
+});
+
+app.post("/users/:id/role", requireAuth, requirePanel("staff"), requirePermission("roles.assign"), validate(schemas.assignRole), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const target = await Users.findOne({ id: req.params.id });
+    if (!target) return res.status(404).json({ error: "Not found" });
+
+    // Can't touch anyone at/above you, or hand out a role at/above your own
+    if (!outranks(req.user, target))
+      return res
+        .status(403)
+        .json({ error: "You cannot change the role of someone at or above your rank" });
+
+    if (rankOf(role) >= rankOf(req.user.role))
+      return res
+        .status(403)
+        .json({ error: "You cannot assign a role at or above your own rank" });
+
+    const update = {
+      role,
+      staffTag: req.body.staffTag || null,
+      staffIcon: req.body.staffIcon || null,
+    };
+
+    const r = await Users.updateOne({ id: req.params.id }, { $set: update });
+
+    if (!r.matchedCount) return res.status(404).json({ error: "Not found" });
+
+    await recordAudit(req, {
+      action: "user.role",
+      targetType: "user",
+      targetId: target.id,
+      before: target,
+      after: { ...target, ...update },
     });
 
-    // =========================
-    // SEND VERIFICATION EMAIL
-    // =========================
-    if (!brevoApi) {
-      console.log("📨 DEV MODE — Verification email skipped:", email, token);
-    } else {
-      const { verifyEmail } = require("./emailTemplates");
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+app.get("/users/:id", optionalAuth, validate(schemas.userById), async (req, res) => {
+  try {
+    const user = await Users.findOne(live({ id: req.params.id }));
+    if (!user) return res.status(404).json({ error: "Not found" });
+
+    const ban = await currentBanState(user);
+
+    // staff see every ban (including lifted and expired ones) and the
+    // account's email, IP and HWID — everyone else gets the public profile
+    const staffView = hasPermission(req.user, "users.view");
+    const banHistory = staffView
+      ? await Bans.find({ userId: user.id }, { projection: { _id: 0 } })
+          .sort({ createdAt: -1 })
+          .toArray()
+      : undefined;
+
+    // fetch ALL accepted applications for the user
+    const acceptedApps = await Applications.find(
+      live({ email: user.email, status: "accepted" }),
+      { projection: { department: 1, _id: 0 } }
+    ).toArray();
+
+    // resolve through the registry — legacy names collapse onto codes
+    const departments = [
+      ...new Set(acceptedApps.map(a => departmentCode(a.department))),
+    ];
+
+    res.json({
+      id: user.id,
+      username: user.username,
+      email: staffView ? user.email : undefined,
+      role: user.role,
+      staffTag: user.staffTag || null,
+      staffIcon: user.staffIcon || null,
+
+      banned: ban.banned,
+      banReason: ban.banReason,
+      banDate: ban.banDate,
+      banExpiresAt: ban.banExpiresAt,
+      banScope: ban.banScope,
+      banHistory,
+
+      createdAt: user.createdAt,
+      lastIP: staffView ? user.lastIP || null : undefined,
+      lastLoginAt: user.lastLoginAt || null,
+
+      // 🆕 RETURN HWID SO FRONTEND CAN DISPLAY IT (staff only)
+      hwid: staffView ? user.hwid || null : undefined,
+
+      // 🚨 MULTIPLE DEPARTMENTS SUPPORT
+      departments,
+      departmentNames: departments.map(code => findDepartment(code)?.name || code),
+
+      // backward compatibility for old pages
+      department: departments[0] || null
+    });
+
+  } catch (err) {
+    console.log(err);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+
+
+app.delete("/users/:id", requireAuth, requirePanel("staff"), requirePermission("users.delete"), validate(schemas.deleteUser), async (req, res) => {
+  try {
+    const id = req.params.id;
+
+    const target = await Users.findOne(live({ id }));
+    if (!target) return res.status(404).json({ error: "Not found" });
 
-      const mail = new Brevo.SendSmtpEmail();
-      mail.sender = { name: FROM_NAME, email: FROM_EMAIL };
-      mail.to = [{ email, name: username }];
-      mail.subject = "Verify Your Shore Roleplay Account";
-      mail.htmlContent = verifyEmail({ username, token });
+    // to the trash — restorable until purged
+    if (!(await moveToTrash(req, "user", target, req.body?.reason || null)))
+      return res.status(404).json({ error: "Not found" });
 
-      await brevoApi.sendTransacEmail(mail);
+    await recordAudit(req, {
+      action: "user.delete",
+      targetType: "user",
+      targetId: id,
+      before: target,
+      reason: req.body?.reason || null,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* Account list — ?role= / ?banned= / ?restricted= / ?from= / ?to= (created) */
+app.get("/users", optionalAuth, validate(schemas.userList), async (req, res) => {
+  try {
+    const { role, banned, restricted } = req.query;
+    const filter = live();
+    if (role) filter.role = role;
+    if (banned !== undefined) filter.banned = banned ? true : { $ne: true };
+    if (restricted !== undefined) filter.restricted = restricted ? true : { $ne: true };
+
+    const page = await paginate(Users, {
+      filter: withDateRange(filter, "createdAt", req.query),
+      projection: hasPermission(req.user, "users.view") ? USER_STAFF_PROJECTION : USER_PUBLIC_PROJECTION,
+      ...pageOptions(req.query),
+    });
+    sendPage(res, page);
+  } catch (err) {
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ===========================
+   USER RESTRICT / UNRESTRICT (STAFF ONLY)
+   =========================== */
+
+app.patch("/users/:id/restrict", requireAuth, requirePanel("staff"), requirePermission("users.restrict"), validate(schemas.restrictUser), async (req, res) => {
+  try {
+    const { restricted } = req.body;
+
+    const target = await Users.findOne({ id: req.params.id });
+    if (!target) return res.status(404).json({ error: "User not found" });
+
+    if (!outranks(req.user, target))
+      return res
+        .status(403)
+        .json({ error: "You cannot restrict someone at or above your rank" });
+
+    const { scopes, reason, durationHours } = req.body;
+
+    // Kept for the old panel toggle: a restriction sanction, or lift them all
+    if (restricted) {
+      await issueSanction(req, target, {
+        type: "restriction",
+        reason: reason || null,
+        scopes,
+        expiresAt: durationHours ? new Date(Date.now() + durationHours * HOUR) : null,
+      });
+    } else {
+      const lifted = await Sanctions.updateMany(
+        activeSanctionFilter({ userId: target.id, type: "restriction" }),
+        { $set: { revokedAt: new Date(), revokedBy: req.user.id, revokeReason: reason || null } }
+      );
+      await refreshRestrictionState(target.id);
+
+      await recordAudit(req, {
+        action: "user.unrestrict",
+        targetType: "user",
+        targetId: target.id,
+        reason: reason || null,
+        meta: { revoked: lifted.modifiedCount },
+      });
     }
 
-    // =========================
-    // RETURN SUCCESS (NO ACCOUNT CREATED YET)
-    // =========================
     res.json({
       success: true,
-      message:
-        "Verification email sent. Your account will be created after email confirmation."
+      message: `User ${restricted ? "restricted" : "unrestricted"}`,
+      restrictions: await activeRestrictionScopes(target.id),
+    });
+  } catch (err) {
+    console.error("❌ Restrict Error:", err);
+    res.status(500).json({ error: "Failed to update restriction" });
+  }
+});
+
+
+/* ===========================
+   WARNINGS, STRIKES & RESTRICTIONS (STAFF)
+   =========================== */
+
+app.post("/users/:id/sanctions", requireAuth, requirePanel("staff"), requirePermission("users.restrict"), validate(schemas.issueSanction), async (req, res) => {
+  try {
+    const { type, reason, scopes, durationHours } = req.body;
+
+    const target = await Users.findOne({ id: req.params.id });
+    if (!target) return res.status(404).json({ error: "User not found" });
+
+    if (!outranks(req.user, target))
+      return res
+        .status(403)
+        .json({ error: "You cannot sanction someone at or above your rank" });
+
+    if (type === "restriction" && !scopes?.length)
+      return sendValidationError(res, {
+        scopes: { code: "required", message: "Pick at least one scope to restrict" },
+      });
+
+    const result = await issueSanction(req, target, {
+      type,
+      reason,
+      scopes,
+      expiresAt: durationHours ? new Date(Date.now() + durationHours * HOUR) : undefined,
     });
 
+    res.status(201).json(result);
   } catch (err) {
-    console.error("❌ REGISTER ERROR:", err);
-    res.status(500).json({ error: "Registration failed" });
+    console.error("❌ SANCTION ERROR:", err);
+    res.status(500).json({ error: "Failed to issue sanction" });
+  }
+});
+
+/* All sanctions of a user, newest first, with the currently active summary */
+app.get("/users/:id/sanctions", requireAuth, requirePanel("staff"), requirePermission("users.view"), validate(schemas.userById), async (req, res) => {
+  try {
+    const sanctions = await Sanctions.find({ userId: req.params.id }, { projection: { _id: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    const now = new Date();
+    const active = sanctions.filter(
+      (s) => !s.revokedAt && (!s.expiresAt || s.expiresAt > now)
+    );
+
+    res.json({
+      active: {
+        warnings: active.filter((s) => s.type === "warning").length,
+        strikes: active.filter((s) => s.type === "strike").length,
+        restrictions: [...new Set(active.flatMap((s) => s.scopes))],
+      },
+      sanctions,
+    });
+  } catch (err) {
+    console.error("❌ SANCTION LIST ERROR:", err);
+    res.status(500).json({ error: "Failed to load sanctions" });
+  }
+});
+
+app.delete("/users/:id/sanctions/:sanctionId", requireAuth, requirePanel("staff"), requirePermission("users.restrict"), validate(schemas.revokeSanction), async (req, res) => {
+  try {
+    const sanction = await Sanctions.findOneAndUpdate(
+      { id: req.params.sanctionId, userId: req.params.id, revokedAt: null },
+      {
+        $set: {
+          revokedAt: new Date(),
+          revokedBy: req.user.id,
+          revokeReason: req.body.reason || null,
+        },
+      },
+      { returnDocument: "after" }
+    );
+    if (!sanction) return res.status(404).json({ error: "No active sanction with that id" });
+
+    if (sanction.type === "restriction") await refreshRestrictionState(sanction.userId);
+
+    await recordAudit(req, {
+      action: "sanction.revoke",
+      targetType: "user",
+      targetId: sanction.userId,
+      reason: req.body.reason || null,
+      meta: { sanctionId: sanction.id, type: sanction.type },
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ SANCTION REVOKE ERROR:", err);
+    res.status(500).json({ error: "Failed to revoke sanction" });
   }
 });
 
+app.get("/moderation/policy", requireAuth, requirePanel("staff"), requirePermission("users.restrict"), async (req, res) => {
+  try {
+    res.json({
+      scopes: RESTRICTION_SCOPES,
+      policy: await getEscalationPolicy(),
+    });
+  } catch (err) {
+    console.error("❌ POLICY FETCH ERROR:", err);
+    res.status(500).json({ error: "Failed to load escalation policy" });
+  }
+});
 
-app.post("/users/login", async (req, res) => {
+app.put("/moderation/policy", requireAuth, requirePanel("admin"), requirePermission("moderation.configure"), validate(schemas.escalationPolicy), async (req, res) => {
   try {
-    const { email, password, hwid } = req.body;
+    const policy = { rules: req.body.rules };
 
-    // Check user credentials
-    const user = await Users.findOne({ email, password });
-    if (!user)
-      return res.status(401).json({ error: "Invalid email or password" });
+    const problems = checkEscalationPolicy(policy);
+    if (problems.length)
+      return res.status(400).json({ error: "Invalid escalation policy", problems });
 
-    // 🚫 BLOCK UNVERIFIED ACCOUNTS
-    if (!user.verified) {
-      return res.status(403).json({
-        error: "Please verify your email before logging in"
+    const before = await getEscalationPolicy();
+    await Settings.updateOne(
+      { _id: "escalationPolicy" },
+      { $set: { policy, updatedAt: new Date(), updatedBy: req.user.id } },
+      { upsert: true }
+    );
+
+    await recordAudit(req, {
+      action: "moderation.policy",
+      targetType: "settings",
+      targetId: "escalationPolicy",
+      before,
+      after: policy,
+    });
+
+    res.json(policy);
+  } catch (err) {
+    console.error("❌ POLICY SAVE ERROR:", err);
+    res.status(500).json({ error: "Failed to save escalation policy" });
+  }
+});
+
+/* ===========================
+   TRASH
+   Soft-deleted threads, replies, applications and users
+   =========================== */
+
+/* Everything in the trash the caller may restore (?type= narrows it) */
+app.get("/trash", requireAuth, requirePanel("staff"), validate(schemas.trashList), async (req, res) => {
+  try {
+    const types = Object.keys(TRASH_TYPES).filter(
+      (type) => hasPermission(req.user, TRASH_TYPES[type].permission) && (!req.query.type || req.query.type === type)
+    );
+    if (!types.length) return res.status(403).json({ error: "Missing permission" });
+    if (req.query.cursor && !req.query.type)
+      return sendValidationError(res, {
+        "query.type": { code: "required", message: "A type is required to page through the trash" },
+      });
+
+    const days = await getTrashRetentionDays();
+    const results = {};
+
+    // newest first, one page per type (nextCursor continues that type)
+    for (const type of types) {
+      const page = await paginate(trashCollection(type), {
+        filter: { deletedAt: { $ne: null } },
+        sort: "deletedAt",
+        limit: req.query.limit,
+        cursor: req.query.cursor,
       });
+      if (page.error) return sendPage(res, page);
+
+      results[type] = {
+        ...page,
+        items: page.items.map((doc) => ({
+          type,
+          id: doc.id,
+          deletedAt: doc.deletedAt,
+          deletedBy: doc.deletedBy || null,
+          deleteReason: doc.deleteReason || null,
+          deletedWith: doc.deletedWith || null,
+          purgeAt: new Date(new Date(doc.deletedAt).getTime() + days * 24 * 60 * 60 * 1000),
+          document: scrub(doc),
+        })),
+      };
     }
 
-    // Update login metadata
-    await Users.updateOne(
-      { id: user.id },
+    res.json({ retentionDays: days, results });
+  } catch (err) {
+    console.error("❌ TRASH LIST ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch trash" });
+  }
+});
+
+app.post("/trash/:type/:id/restore", requireAuth, requirePanel("staff"), validate(schemas.trashRestore), async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!hasPermission(req.user, TRASH_TYPES[type].permission))
+      return res.status(403).json({ error: "Missing permission", permission: TRASH_TYPES[type].permission });
+
+    const doc = await trashCollection(type).findOne({ id, deletedAt: { $ne: null } });
+    if (!doc) return res.status(404).json({ error: "Not in the trash" });
+
+    const blocked = await restoreBlock(type, doc);
+    if (blocked) {
+      const { status, ...body } = blocked;
+      return res.status(status).json(body);
+    }
+
+    if (!(await restoreFromTrash(type, doc)))
+      return res.status(404).json({ error: "Not in the trash" });
+
+    await recordAudit(req, {
+      action: `${type}.restore`,
+      targetType: type,
+      targetId: id,
+      before: doc,
+      after: { ...doc, ...restoreStamp() },
+      reason: req.body.reason || null,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ TRASH RESTORE ERROR:", err);
+    res.status(500).json({ error: "Failed to restore" });
+  }
+});
+
+app.get("/trash/retention", requireAuth, requirePanel("staff"), async (req, res) => {
+  try {
+    res.json({ days: await getTrashRetentionDays(), max: MAX_RETENTION_DAYS });
+  } catch (err) {
+    console.error("❌ TRASH RETENTION ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch retention" });
+  }
+});
+
+/* How long deleted content stays restorable before the purge job removes it */
+app.put("/trash/retention", requireAuth, requirePanel("admin"), requirePermission("moderation.configure"), validate(schemas.trashRetention), async (req, res) => {
+  try {
+    const { days } = req.body;
+    const before = await getTrashRetentionDays();
+
+    await Settings.updateOne(
+      { _id: "trashRetention" },
+      { $set: { days, updatedAt: new Date(), updatedBy: req.user.id } },
+      { upsert: true }
+    );
+
+    await recordAudit(req, {
+      action: "trash.retention",
+      targetType: "settings",
+      targetId: "trashRetention",
+      before: { days: before },
+      after: { days },
+    });
+
+    res.json({ days });
+  } catch (err) {
+    console.error("❌ TRASH RETENTION ERROR:", err);
+    res.status(500).json({ error: "Failed to save retention" });
+  }
+});
+
+
+/* ===========================
+   FORUM
+   =========================== */
+
+/* ===========================
+   FORUM CATEGORIES
+   =========================== */
+
+/* Categories the caller can read, with thread counts and latest activity */
+app.get("/categories", optionalAuth, async (req, res) => {
+  try {
+    const viewer = await forumViewer(req.user);
+    const visible = [...categoryIndex.values()].filter((c) => canInCategory(viewer, c, "read"));
+
+    const stats = await Threads.aggregate([
+      { $match: live({ category: { $in: visible.map((c) => c.slug) } }) },
+      { $addFields: { activity: { $ifNull: ["$lastActivityAt", "$createdAt"] } } },
+      { $sort: { activity: -1 } },
       {
-        $set: {
-          lastLoginAt: new Date().toISOString(),
-          lastIP: getClientIP(req),
-          hwid: hwid || user.hwid || generateHWID(),
+        $group: {
+          _id: "$category",
+          threads: { $sum: 1 },
+          replies: { $sum: "$replies" },
+          lastActivityAt: { $first: "$activity" },
+          lastThread: { $first: { id: "$id", title: "$title" } },
         },
-      }
+      },
+    ]).toArray();
+    const byCategory = new Map(stats.map((s) => [s._id, s]));
+
+    res.json(
+      visible.map((c) => {
+        const s = byCategory.get(c.slug);
+        return {
+          ...publicCategory(c, viewer),
+          threads: s?.threads || 0,
+          replies: s?.replies || 0,
+          lastActivityAt: s?.lastActivityAt || null,
+          lastThread: s?.lastThread || null,
+        };
+      })
     );
+  } catch (err) {
+    console.error("❌ CATEGORY LIST ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch categories" });
+  }
+});
+
+/* Full category incl. permission rules (category managers) */
+app.get("/categories/:slug", requireAuth, requirePanel("staff"), requirePermission("forum.categories"), validate(schemas.categoryBySlug), async (req, res) => {
+  try {
+    const category = findCategory(req.params.slug);
+    if (!category) return res.status(404).json({ error: "Category not found" });
+    res.json(category);
+  } catch (err) {
+    console.error("❌ CATEGORY FETCH ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch category" });
+  }
+});
+
+app.post("/categories", requireAuth, requirePanel("staff"), requirePermission("forum.categories"), validate(schemas.createCategory), async (req, res) => {
+  try {
+    const category = {
+      ...req.body,
+      permissions: { ...DEFAULT_PERMISSIONS, ...req.body.permissions },
+    };
+
+    const problems = checkCategoryPermissions(category.permissions, allDepartments().map((d) => d.code));
+    if (problems.length)
+      return res.status(400).json({ error: "Invalid category permissions", problems });
+
+    if (findCategory(category.slug))
+      return res.status(409).json({ error: "Category slug already exists" });
+
+    if (category.order === undefined) category.order = categoryIndex.size;
+    category.createdAt = category.updatedAt = new Date();
+    await Categories.insertOne(category);
+    await loadCategories();
+
+    await recordAudit(req, {
+      action: "category.create",
+      targetType: "category",
+      targetId: category.slug,
+      after: category,
+    });
+
+    res.status(201).json(findCategory(category.slug));
+  } catch (err) {
+    console.error("❌ CATEGORY CREATE ERROR:", err);
+    res.status(500).json({ error: "Failed to create category" });
+  }
+});
+
+app.patch("/categories/:slug", requireAuth, requirePanel("staff"), requirePermission("forum.categories"), validate(schemas.updateCategory), async (req, res) => {
+  try {
+    const before = findCategory(req.params.slug);
+    if (!before) return res.status(404).json({ error: "Category not found" });
+
+    const update = { ...req.body };
+    if (update.permissions) {
+      update.permissions = { ...before.permissions, ...update.permissions };
+
+      const problems = checkCategoryPermissions(update.permissions, allDepartments().map((d) => d.code));
+      if (problems.length)
+        return res.status(400).json({ error: "Invalid category permissions", problems });
+    }
+
+    update.updatedAt = new Date();
+    await Categories.updateOne({ slug: before.slug }, { $set: update });
+    await loadCategories();
+
+    await recordAudit(req, {
+      action: "category.update",
+      targetType: "category",
+      targetId: before.slug,
+      before,
+      after: findCategory(before.slug),
+    });
+
+    res.json(findCategory(before.slug));
+  } catch (err) {
+    console.error("❌ CATEGORY UPDATE ERROR:", err);
+    res.status(500).json({ error: "Failed to update category" });
+  }
+});
 
-    // Determine department membership
-    const hasDept = await Applications.findOne({
-      email: user.email,
-      status: "accepted",
-    });
+/* Only empty categories can be removed — lock it instead */
+app.delete("/categories/:slug", requireAuth, requirePanel("staff"), requirePermission("forum.categories"), validate(schemas.categoryBySlug), async (req, res) => {
+  try {
+    const category = findCategory(req.params.slug);
+    if (!category) return res.status(404).json({ error: "Category not found" });
 
-    // Return authorized session
-    return res.json({
-      success: true,
-      message: "OK",
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        hasDepartment: !!hasDept,
-        department: hasDept ? hasDept.department : null,
-        isStaff: isStaff(user),
-        staffTag: user.staffTag || null,
-        staffIcon: user.staffIcon || null,
-        banned: !!user.banned,
-        banReason: user.banReason || null,
-        banDate: user.banDate || null,
-        bio: user.bio || "",
-        pfp: user.pfp || null,
-      },
+    if (await Threads.findOne({ category: category.slug }))
+      return res.status(409).json({
+        error: "Category has threads — lock it instead",
+      });
+
+    await Categories.deleteOne({ slug: category.slug });
+    await loadCategories();
+
+    await recordAudit(req, {
+      action: "category.delete",
+      targetType: "category",
+      targetId: category.slug,
+      before: category,
     });
 
+    res.json({ success: true });
   } catch (err) {
-    console.error("❌ LOGIN ERROR:", err);
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ CATEGORY DELETE ERROR:", err);
+    res.status(500).json({ error: "Failed to delete category" });
   }
 });
 
-app.post("/users/change-username", async (req, res) => {
+app.post("/threads", requireAuth, requireUnrestricted("forum"), validate(schemas.createThread), async (req, res) => {
   try {
-    const { id, username } = req.body;
-    if (!id || !username || username.length < 3)
-      return res.status(400).json({ error: "Invalid request" });
+    const { title, body } = req.body;
 
-    const r = await Users.updateOne({ id }, { $set: { username } });
-    if (!r.matchedCount) return res.status(404).json({ error: "Not found" });
+    const user = req.user;
 
-    res.json({ success: true });
+    const category = findCategory(req.body.category);
+    const viewer = await forumViewer(user);
+    if (!category || !canInCategory(viewer, category, "read"))
+      return res.status(404).json({ error: "Category not found" });
+
+    if (!canInCategory(viewer, category, "post"))
+      return res.status(403).json({
+        error: category.locked
+          ? "This category is locked"
+          : "You don't have permission to post in this category",
+      });
+
+    const now = new Date().toISOString();
+    const t = {
+      id: crypto.randomUUID(),
+      title,
+      body,
+      category: category.slug,
+      authorId: user.id,
+      createdAt: now,
+      lastActivityAt: now,
+      replies: 0,
+      mentions: await resolveMentions(body, user, category),
+    };
+
+    await Threads.insertOne(t);
+    await notifyForumPost(user, { thread: t, mentions: t.mentions });
+    res.json({ success: true, thread: t });
   } catch (err) {
     res.status(500).json({ error: "Failed" });
   }
 });
 
-app.post("/users/update-password", async (req, res) => {
+app.get("/threads/:category", optionalAuth, validate(schemas.threadsByCategory), async (req, res) => {
   try {
-    const { email, password } = req.body;
-    if (!email || !password || password.length < 6)
-      return res.status(400).json({ error: "Invalid" });
+    const category = findCategory(req.params.category);
+    if (!category || !canInCategory(await forumViewer(req.user), category, "read"))
+      return res.status(404).json({ error: "Category not found" });
+
+    const filter = live({ category: category.slug });
+    if (req.query.authorId) filter.authorId = req.query.authorId;
+    withDateRange(filter, "createdAt", req.query);
+
+    // pinned threads sit above the list on its first page instead of being paged
+    const [page, pinned] = await Promise.all([
+      paginate(Threads, {
+        filter: { ...filter, pinned: { $ne: true } },
+        projection: { _id: 0 },
+        ...pageOptions(req.query),
+      }),
+      req.query.cursor
+        ? []
+        : Threads.find({ ...filter, pinned: true }, { projection: { _id: 0 } })
+            .sort({ createdAt: -1 })
+            .toArray(),
+    ]);
+    if (page.error) return sendPage(res, page);
+
+    const ids = [...pinned, ...page.items].map((x) => x.authorId);
+    const authors = await Users.find({ id: { $in: ids } }, { projection: AUTHOR_PROJECTION }).toArray();
+    const map = new Map(authors.map((u) => [u.id, u]));
 
-    const r = await Users.updateOne({ email }, { $set: { password } });
-    if (!r.matchedCount) return res.status(404).json({ error: "Not found" });
+    const withAuthor = (t) => {
+      const u = map.get(t.authorId);
+      return {
+        ...t,
+        author: u
+          ? {
+              id: u.id,
+              username: u.username,
+              role: u.role,
+              staffTag: u.staffTag || null,
+              staffIcon: u.staffIcon || null,
+            }
+          : null,
+      };
+    };
 
-    res.json({ success: true });
+    sendPage(res, { ...page, pinned: pinned.map(withAuthor), items: page.items.map(withAuthor) });
   } catch (err) {
     res.status(500).json({ error: "Failed" });
   }
 });
 
-app.post("/users/update", async (req, res) => {
+app.get("/thread/:id", optionalAuth, validate(schemas.threadById), async (req, res) => {
   try {
-    const { id, bio, pfp } = req.body;
-    if (!id) return res.status(400).json({ error: "Missing" });
+    const thread = await Threads.findOne(live({ id: req.params.id }));
+    if (!thread) return res.status(404).json({ error: "Not found" });
 
-    const update = {};
-    if (bio !== undefined) update.bio = bio;
-    if (pfp !== undefined) update.pfp = pfp;
+    const category = findCategory(thread.category);
+    if (!category || !canInCategory(await forumViewer(req.user), category, "read"))
+      return res.status(404).json({ error: "Not found" });
 
-    const r = await Users.updateOne({ id }, { $set: update });
-    if (!r.matchedCount) return res.status(404).json({ error: "Not found" });
+    const replies = await Replies.find(live({ threadId: req.params.id }))
+      .sort({ createdAt: 1 })
+      .toArray();
 
-    res.json({ success: true });
+    const ids = [
+      thread.authorId,
+      ...replies.map((r) => r.authorId),
+      ...replies.map((r) => r.quote?.authorId).filter(Boolean),
+    ];
+    const authors = await Users.find({ id: { $in: ids } }).toArray();
+    const map = new Map(authors.map((u) => [u.id, u]));
+    const reactions = await reactionCounts({ threadId: thread.id }, req.user?.id);
+
+    const t = {
+      ...thread,
+      reactions: reactions("thread", thread.id),
+      author: (() => {
+        const u = map.get(thread.authorId);
+        return u
+          ? {
+              id: u.id,
+              username: u.username,
+              role: u.role,
+              staffTag: u.staffTag || null,
+              staffIcon: u.staffIcon || null,
+            }
+          : null;
+      })(),
+    };
+
+    res.json({
+      thread: t,
+      replies: replies.map((r) => {
+        const u = map.get(r.authorId);
+        return {
+          ...r,
+          quote: r.quote
+            ? { ...r.quote, authorUsername: map.get(r.quote.authorId)?.username || null }
+            : null,
+          reactions: reactions("reply", r.id),
+          author: u
+            ? {
+                id: u.id,
+                username: u.username,
+                role: u.role,
+                staffTag: u.staffTag || null,
+                staffIcon: u.staffIcon || null,
+              }
+            : null,
+        };
+      }),
+    });
   } catch (err) {
     res.status(500).json({ error: "Failed" });
   }
 });
 
-/// VERIFICATION TOKENS
-
-app.get("/users/verify/:token", async (req, res) => {
+app.post("/thread/:id/reply", requireAuth, requireUnrestricted("forum"), validate(schemas.createReply), async (req, res) => {
   try {
-    const token = req.params.token;
+    const { body, quoteId } = req.body;
 
-    // 1) Find pending registration
-    const pending = await PendingUsers.findOne({ token });
+    const user = req.user;
 
-    if (!pending) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid or expired verification link"
-      });
-    }
+    const thread = await Threads.findOne(live({ id: req.params.id }));
+    const category = thread && findCategory(thread.category);
+    const viewer = await forumViewer(user);
+    if (!category || !canInCategory(viewer, category, "read"))
+      return res.status(404).json({ error: "Not found" });
 
-    // 2) Double-check no real account already exists
-    const exists = await Users.findOne({ email: pending.email });
-    if (exists) {
-      // Cleanup stale pending registrations
-      await PendingUsers.deleteOne({ _id: pending._id });
-      return res.status(409).json({
-        success: false,
-        error: "Account already exists"
+    if (!canInCategory(viewer, category, "reply"))
+      return res.status(403).json({
+        error: category.locked
+          ? "This category is locked"
+          : "You don't have permission to reply in this category",
       });
-    }
-
-    // 3) Create real account now
-    const userId = crypto.randomUUID();
-    const hwid = generateHWID();
 
-    await Users.insertOne({
-      id: userId,
-      username: pending.username,
-      email: pending.email,
-      password: pending.password, // 👈 You already store plain text passwords
-                                 //    consider hashing later
-      role: "user",
-      staffTag: null,
-      staffIcon: null,
+    if (thread.locked && !hasPermission(user, "forum.moderate"))
+      return res.status(403).json({ error: "This thread is locked", code: "THREAD_LOCKED" });
 
-      banned: false,
-      banReason: null,
-      banDate: null,
+    // quoting keeps a copy, so later edits or removal don't change what was quoted
+    let quote = null;
+    if (quoteId) {
+      const quoted = await Replies.findOne(live({ id: quoteId, threadId: thread.id }));
+      if (!quoted)
+        return sendValidationError(res, {
+          quoteId: { code: "not_found", message: "That reply isn't in this thread" },
+        });
+      quote = { replyId: quoted.id, authorId: quoted.authorId, excerpt: quoteExcerpt(quoted.body) };
+    }
 
+    const r = {
+      id: crypto.randomUUID(),
+      threadId: req.params.id,
+      authorId: user.id,
+      body,
+      quote,
+      mentions: await resolveMentions(body, user, category),
       createdAt: new Date().toISOString(),
-      lastIP: pending.ip || null,
-      lastLoginAt: null,
-      hwid,
-      verified: true, // 🚀 IMPORTANT
+    };
+
+    await Replies.insertOne(r);
+    await Threads.updateOne(
+      { id: req.params.id },
+      { $inc: { replies: 1 }, $set: { lastActivityAt: r.createdAt } }
+    );
+    await notifyForumPost(user, {
+      thread,
+      reply: r,
+      mentions: r.mentions,
+      quotedAuthorId: quote?.authorId,
     });
 
-    // 4) Remove pending entry
-    await PendingUsers.deleteOne({ _id: pending._id });
+    res.json({ success: true, reply: r });
+  } catch (err) {
+    res.status(500).json({ error: "Failed" });
+  }
+});
 
-    // 5) Respond with success
-    return res.json({
-      success: true,
-      message: "Account verified successfully. You can now log in."
-    });
+/* ===========================
+   FORUM REACTIONS
+   =========================== */
 
+/* Toggle the caller's reaction on a thread */
+app.post("/thread/:id/reactions", requireAuth, requireUnrestricted("forum"), validate(schemas.forumReaction), async (req, res) => {
+  try {
+    const found = await findReadableForumContent("thread", req.params.id, await forumViewer(req.user));
+    if (!found) return res.status(404).json({ error: "Not found" });
+
+    res.json(await toggleReaction(req.user, "thread", found.doc, req.body.reaction));
   } catch (err) {
-    console.error("❌ VERIFY ERROR:", err);
-    return res.status(500).json({
-      success: false,
-      error: "Server error during verification"
-    });
+    console.error("❌ REACTION ERROR:", err);
+    res.status(500).json({ error: "Failed to react" });
   }
 });
 
+/* Toggle the caller's reaction on a reply */
+app.post("/reply/:id/reactions", requireAuth, requireUnrestricted("forum"), validate(schemas.forumReaction), async (req, res) => {
+  try {
+    const found = await findReadableForumContent("reply", req.params.id, await forumViewer(req.user));
+    if (!found) return res.status(404).json({ error: "Not found" });
+
+    res.json(await toggleReaction(req.user, "reply", found.doc, req.body.reaction));
+  } catch (err) {
+    console.error("❌ REACTION ERROR:", err);
+    res.status(500).json({ error: "Failed to react" });
+  }
+});
 
+/* The reactions members can use */
+app.get("/reactions", (_, res) => {
+  res.json(REACTIONS);
+});
 
 /* ===========================
-   APPEALS SYSTEM
+   FORUM EDITS & MODERATION
    =========================== */
 
-/* CREATE APPEAL (User must be banned) */
-app.post("/appeals", async (req, res) => {
+/* Edit a thread's title and/or body (author or moderator) */
+app.patch("/thread/:id", requireAuth, requireUnrestricted("forum"), validate(schemas.editThread), async (req, res) => {
   try {
-    const { userId, username, reason } = req.body;
+    const { reason, ...changes } = req.body;
+    if (!Object.keys(changes).length)
+      return sendValidationError(res, {
+        body: { code: "required", message: "Change the title or the body" },
+      });
+
+    const thread = await Threads.findOne(live({ id: req.params.id }), { projection: { _id: 0 } });
+    if (!thread) return res.status(404).json({ error: "Not found" });
 
-    if (!userId || !username || !reason || reason.trim().length < 20)
-      return res.status(400).json({ error: "Reason must be at least 20 characters." });
+    const blocked = await forumEditBlock(req.user, "thread", thread, thread);
+    if (blocked) {
+      const { status, ...body } = blocked;
+      return res.status(status).json(body);
+    }
 
-    const user = await Users.findOne({ id: userId });
+    const result = await reviseForumContent(req, "thread", thread, { changes, reason: reason || null });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
 
-    if (!user)
-      return res.status(404).json({ error: "User not found." });
+    res.json({ success: true, thread: result.thread });
+  } catch (err) {
+    console.error("❌ THREAD EDIT ERROR:", err);
+    res.status(500).json({ error: "Failed to edit thread" });
+  }
+});
 
-    if (!user.banned)
-      return res.status(403).json({ error: "User is not banned." });
+/* Edit a reply (author or moderator) */
+app.patch("/reply/:id", requireAuth, requireUnrestricted("forum"), validate(schemas.editReply), async (req, res) => {
+  try {
+    const reply = await Replies.findOne(live({ id: req.params.id }), { projection: { _id: 0 } });
+    if (!reply) return res.status(404).json({ error: "Not found" });
 
-    // Prevent multiple pending appeals
-    const existing = await Appeals.findOne({ userId, status: "pending" });
-    if (existing)
-      return res.status(409).json({ error: "You already have a pending appeal." });
+    const thread = await Threads.findOne(live({ id: reply.threadId }));
+    if (!thread) return res.status(404).json({ error: "Not found" });
 
-    await Appeals.insertOne({
-      id: crypto.randomUUID(),
-      userId,
-      username,
-      reason,
-      createdAt: new Date().toISOString(),
-      status: "pending",
-      handledBy: null,
-      handledAt: null
+    const blocked = await forumEditBlock(req.user, "reply", reply, thread);
+    if (blocked) {
+      const { status, ...body } = blocked;
+      return res.status(status).json(body);
+    }
+
+    const result = await reviseForumContent(req, "reply", reply, {
+      changes: { body: req.body.body },
+      reason: req.body.reason || null,
     });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
 
-    res.json({ success: true });
+    res.json({ success: true, reply: result.reply });
   } catch (err) {
-    console.error("APPEAL CREATE ERROR:", err);
-    res.status(500).json({ error: "Failed to submit appeal." });
+    console.error("❌ REPLY EDIT ERROR:", err);
+    res.status(500).json({ error: "Failed to edit reply" });
   }
 });
 
-/* LIST ALL APPEALS (HA ONLY) */
-app.get("/appeals", async (req, res) => {
+/* Revision history — the author and moderators only, old versions may hold what the author took out */
+app.get("/thread/:id/revisions", requireAuth, validate(schemas.threadById), async (req, res) => {
   try {
-    const appeals = await Appeals.find({})
-      .sort({ createdAt: -1 })
-      .toArray();
-    res.json(appeals);
+    const thread = await Threads.findOne(live({ id: req.params.id }));
+    if (!thread || !canEditForumContent(req.user, thread))
+      return res.status(404).json({ error: "Not found" });
+
+    res.json(await forumRevisionHistory("thread", thread));
   } catch (err) {
-    console.error("APPEAL LIST ERROR:", err);
-    res.status(500).json({ error: "Failed to fetch appeals." });
+    console.error("❌ REVISIONS ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch revisions" });
   }
 });
 
-/* SET APPEAL DECISION (accept / deny) */
-app.post("/appeals/:id/decision", async (req, res) => {
+app.get("/reply/:id/revisions", requireAuth, validate(schemas.threadById), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status, staffUser } = req.body; // staffUser.username or ID
-
-    if (!["accepted", "denied"].includes(status))
-      return res.status(400).json({ error: "Invalid status." });
-
-    const appeal = await Appeals.findOne({ id });
-    if (!appeal)
-      return res.status(404).json({ error: "Appeal not found." });
-
-    await Appeals.updateOne(
-      { id },
-      { $set: {
-          status,
-          handledBy: staffUser || "Unknown Staff",
-          handledAt: new Date().toISOString()
-        } }
-    );
+    const reply = await Replies.findOne(live({ id: req.params.id }));
+    if (!reply || !canEditForumContent(req.user, reply))
+      return res.status(404).json({ error: "Not found" });
 
-    res.json({ success: true });
+    res.json(await forumRevisionHistory("reply", reply));
   } catch (err) {
-    console.error("APPEAL DECISION ERROR:", err);
-    res.status(500).json({ error: "Failed to update appeal status." });
+    console.error("❌ REVISIONS ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch revisions" });
   }
 });
 
-/* UNBAN USER WHEN APPEAL ACCEPTED */
-app.post("/appeals/:id/unban", async (req, res) => {
+/* Pinned threads are listed first in their category */
+app.post("/thread/:id/pin", requireAuth, requirePanel("staff"), requirePermission("forum.moderate"), validate(schemas.pinThread), async (req, res) => {
   try {
-    const { id } = req.params;
-    const appeal = await Appeals.findOne({ id });
+    const { pinned } = req.body;
+    const thread = await Threads.findOne(live({ id: req.params.id }));
+    if (!thread) return res.status(404).json({ error: "Not found" });
 
-    if (!appeal)
-      return res.status(404).json({ error: "Appeal not found." });
+    const update = { pinned, pinnedAt: pinned ? new Date().toISOString() : null, pinnedBy: pinned ? req.user.id : null };
+    await Threads.updateOne({ id: thread.id }, { $set: update });
 
-    await Users.updateOne(
-      { id: appeal.userId },
-      { $set: { banned: false, banReason: null } }
-    );
+    await recordAudit(req, {
+      action: pinned ? "thread.pin" : "thread.unpin",
+      targetType: "thread",
+      targetId: thread.id,
+      before: thread,
+      after: { ...thread, ...update },
+    });
 
-    res.json({ success: true });
+    res.json({ success: true, pinned });
   } catch (err) {
-    console.error("APPEAL UNBAN ERROR:", err);
-    res.status(500).json({ error: "Failed to unban user." });
+    console.error("❌ THREAD PIN ERROR:", err);
+    res.status(500).json({ error: "Failed to pin thread" });
   }
 });
 
-/* DELETE APPEAL (HA ONLY) */
-app.delete("/appeals/:id", async (req, res) => {
+/* Locked threads take no new replies or author edits */
+app.post("/thread/:id/lock", requireAuth, requirePanel("staff"), requirePermission("forum.moderate"), validate(schemas.lockThread), async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await Appeals.deleteOne({ id });
+    const { locked, reason } = req.body;
+    const thread = await Threads.findOne(live({ id: req.params.id }));
+    if (!thread) return res.status(404).json({ error: "Not found" });
 
-    if (result.deletedCount === 0)
-      return res.status(404).json({ success: false, error: "Appeal not found." });
+    const update = {
+      locked,
+      lockedAt: locked ? new Date().toISOString() : null,
+      lockedBy: locked ? req.user.id : null,
+      lockReason: locked ? reason || null : null,
+    };
+    await Threads.updateOne({ id: thread.id }, { $set: update });
+
+    await recordAudit(req, {
+      action: locked ? "thread.lock" : "thread.unlock",
+      targetType: "thread",
+      targetId: thread.id,
+      before: thread,
+      after: { ...thread, ...update },
+      reason: reason || null,
+    });
 
-    res.json({ success: true });
+    res.json({ success: true, locked });
   } catch (err) {
-    console.error("APPEAL DELETE ERROR:", err);
-    res.status(500).json({ success: false, error: "Failed to delete appeal." });
+    console.error("❌ THREAD LOCK ERROR:", err);
+    res.status(500).json({ error: "Failed to lock thread" });
   }
 });
 
+/* Move a thread (with its replies) to another category */
+app.post("/thread/:id/move", requireAuth, requirePanel("staff"), requirePermission("forum.moderate"), validate(schemas.moveThread), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const thread = await Threads.findOne(live({ id: req.params.id }));
+    if (!thread) return res.status(404).json({ error: "Not found" });
+
+    const category = findCategory(req.body.category);
+    if (!category) return res.status(404).json({ error: "Category not found" });
+    if (category.slug === thread.category)
+      return res.status(409).json({ error: "Thread is already in that category" });
 
+    await Threads.updateOne({ id: thread.id }, { $set: { category: category.slug } });
 
-/* ===========================
-   USER ADMIN
-   =========================== */
+    await recordAudit(req, {
+      action: "thread.move",
+      targetType: "thread",
+      targetId: thread.id,
+      before: thread,
+      after: { ...thread, category: category.slug },
+      reason: reason || null,
+    });
+
+    res.json({ success: true, category: category.slug });
+  } catch (err) {
+    console.error("❌ THREAD MOVE ERROR:", err);
+    res.status(500).json({ error: "Failed to move thread" });
+  }
+});
 
-app.post("/users/:id/ban", async (req, res) => {
+app.delete("/thread/:id", requireAuth, requirePanel("staff"), requirePermission("forum.moderate"), validate(schemas.deleteForumContent), async (req, res) => {
   try {
-    const r = await Users.updateOne(
-      { id: req.params.id },
-      {
-        $set: {
-          banned: true,
-          banReason: req.body.reason || "Manual ban",
-          banDate: new Date().toISOString(),
-        },
-      }
-    );
+    const thread = await Threads.findOne(live({ id: req.params.id }));
+    if (!thread) return res.status(404).json({ error: "Not found" });
 
-    if (!r.matchedCount) return res.status(404).json({ error: "Not found" });
+    const replies = await Replies.find(live({ threadId: req.params.id })).toArray();
+
+    // replies go to the trash with the thread and come back with it
+    if (!(await moveToTrash(req, "thread", thread, req.body?.reason || null)))
+      return res.status(404).json({ error: "Not found" });
+
+    await recordAudit(req, {
+      action: "thread.delete",
+      targetType: "thread",
+      targetId: thread.id,
+      before: thread,
+      reason: req.body?.reason || null,
+      meta: { replies: replies.map(scrub) },
+    });
 
     res.json({ success: true });
   } catch (err) {
@@ -794,20 +5741,21 @@ app.post("/users/:id/ban", async (req, res) => {
   }
 });
 
-app.post("/users/:id/unban", async (req, res) => {
+app.delete("/reply/:id", requireAuth, requirePanel("staff"), requirePermission("forum.moderate"), validate(schemas.deleteForumContent), async (req, res) => {
   try {
-    const r = await Users.updateOne(
-      { id: req.params.id },
-      {
-        $set: {
-          banned: false,
-          banReason: null,
-          banDate: null,
-        },
-      }
-    );
+    const reply = await Replies.findOne(live({ id: req.params.id }));
+    if (!reply) return res.status(404).json({ error: "Not found" });
 
-    if (!r.matchedCount) return res.status(404).json({ error: "Not found" });
+    if (!(await moveToTrash(req, "reply", reply, req.body?.reason || null)))
+      return res.status(404).json({ error: "Not found" });
+
+    await recordAudit(req, {
+      action: "reply.delete",
+      targetType: "reply",
+      targetId: reply.id,
+      before: reply,
+      reason: req.body?.reason || null,
+    });
 
     res.json({ success: true });
   } catch (err) {
@@ -815,420 +5763,500 @@ app.post("/users/:id/unban", async (req, res) => {
   }
 });
 
-app.post("/users/:id/role", async (req, res) => {
-  try {
-    const r = await Users.updateOne(
-      { id: req.params.id },
-      {
-        $set: {
-          role: req.body.role || "user",
-          staffTag: req.body.staffTag || null,
-          staffIcon: req.body.staffIcon || null,
-        },
-      }
-    );
-
-    if (!r.matchedCount) return res.status(404).json({ error: "Not found" });
+/* ===========================
+   DEPARTMENTS REGISTRY
+   =========================== */
 
-    res.json({ success: true });
+/* Public list of departments */
+app.get("/departments", async (req, res) => {
+  try {
+    const departments = await Departments.find({}).sort({ name: 1 }).toArray();
+    res.json(departments.map(publicDepartment));
   } catch (err) {
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ DEPARTMENT LIST ERROR:", err);
+    res.status(500).json({ error: "Failed to load departments" });
   }
 });
 
-app.get("/users/:id", async (req, res) => {
+/* One department by code, name or alias */
+app.get("/departments/:code", validate(schemas.departmentByCode), async (req, res) => {
   try {
-    const user = await Users.findOne({ id: req.params.id });
-    if (!user) return res.status(404).json({ error: "Not found" });
+    const dept = findDepartment(req.params.code);
+    if (!dept) return res.status(404).json({ error: "Department not found" });
+    res.json(publicDepartment(dept));
+  } catch (err) {
+    console.error("❌ DEPARTMENT FETCH ERROR:", err);
+    res.status(500).json({ error: "Failed to load department" });
+  }
+});
 
-    // fetch ALL accepted applications for the user
-    const acceptedApps = await Applications.find(
-      { email: user.email, status: "accepted" },
-      { projection: { department: 1, _id: 0 } }
-    ).toArray();
+/* Department heads must be real accounts */
+async function findMissingUsers(ids) {
+  if (!ids?.length) return [];
+  const found = await Users.find({ id: { $in: ids } }, { projection: { id: 1 } }).toArray();
+  const existing = new Set(found.map((u) => u.id));
+  return ids.filter((id) => !existing.has(id));
+}
 
-    const departments = acceptedApps.map(a => a.department);
+app.post("/departments", requireAuth, requirePanel("admin"), requirePermission("departments.manage"), validate(schemas.createDepartment), async (req, res) => {
+  try {
+    const { form, ...dept } = req.body;
+    const fields = form || DEFAULT_FORM_FIELDS;
+
+    const problems = checkFormDefinition(fields);
+    if (problems.length)
+      return res.status(400).json({ error: "Invalid application form", problems });
+
+    if (await Departments.findOne({ code: dept.code }))
+      return res.status(409).json({ error: "Department code already exists" });
+
+    const conflicts = findNameConflicts(departmentIndex, dept);
+    if (conflicts.length)
+      return res.status(409).json({ error: "Name or alias already used by another department", conflicts });
+
+    const missing = await findMissingUsers(dept.heads);
+    if (missing.length)
+      return res.status(400).json({ error: "Unknown department head", missing });
+
+    dept.createdAt = dept.updatedAt = new Date();
+    await Departments.insertOne(dept);
+    const created = await createFormVersion(dept.code, fields, req.user.id);
+    if (created.error) {
+      const { status, ...body } = created;
+      return res.status(status).json(body);
+    }
+    dept.formVersion = created.form.version;
+    await loadDepartments();
+
+    await recordAudit(req, {
+      action: "department.create",
+      targetType: "department",
+      targetId: dept.code,
+      after: dept,
+    });
 
-    res.json({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      staffTag: user.staffTag || null,
-      staffIcon: user.staffIcon || null,
+    res.status(201).json(publicDepartment(dept));
+  } catch (err) {
+    console.error("❌ DEPARTMENT CREATE ERROR:", err);
+    res.status(500).json({ error: "Failed to create department" });
+  }
+});
 
-      banned: !!user.banned,
-      banReason: user.banReason || null,
-      banDate: user.banDate || null,
+app.patch("/departments/:code", requireAuth, requirePanel("admin"), requirePermission("departments.manage"), validate(schemas.updateDepartment), async (req, res) => {
+  try {
+    const known = findDepartment(req.params.code);
+    const before = known && await Departments.findOne({ code: known.code });
+    if (!before) return res.status(404).json({ error: "Department not found" });
+
+    const update = { ...req.body };
+    const after = { ...before, ...update };
+
+    const conflicts = findNameConflicts(departmentIndex, after);
+    if (conflicts.length)
+      return res.status(409).json({ error: "Name or alias already used by another department", conflicts });
+
+    const missing = await findMissingUsers(update.heads);
+    if (missing.length)
+      return res.status(400).json({ error: "Unknown department head", missing });
+
+    update.updatedAt = new Date();
+    await Departments.updateOne({ code: before.code }, { $set: update });
+    await loadDepartments();
+
+    await recordAudit(req, {
+      action: "department.update",
+      targetType: "department",
+      targetId: before.code,
+      before,
+      after: { ...after, updatedAt: update.updatedAt },
+    });
 
-      createdAt: user.createdAt,
-      lastIP: user.lastIP || null,
-      lastLoginAt: user.lastLoginAt || null,
+    res.json(publicDepartment(after));
+  } catch (err) {
+    console.error("❌ DEPARTMENT UPDATE ERROR:", err);
+    res.status(500).json({ error: "Failed to update department" });
+  }
+});
 
-      // 🆕 RETURN HWID SO FRONTEND CAN DISPLAY IT
-      hwid: user.hwid || null,
+/* Only departments nobody has applied to can be removed — close it instead */
+app.delete("/departments/:code", requireAuth, requirePanel("admin"), requirePermission("departments.manage"), validate(schemas.departmentByCode), async (req, res) => {
+  try {
+    const known = findDepartment(req.params.code);
+    const dept = known && await Departments.findOne({ code: known.code });
+    if (!dept) return res.status(404).json({ error: "Department not found" });
 
-      // 🚨 MULTIPLE DEPARTMENTS SUPPORT
-      departments,
+    if (await Applications.findOne({ department: dept.code }))
+      return res.status(409).json({
+        error: "Department has applications — close it for applications instead",
+      });
 
-      // backward compatibility for old pages
-      department: departments[0] || null
+    await Departments.deleteOne({ code: dept.code });
+    await ApplicationForms.deleteMany({ department: dept.code });
+    await loadDepartments();
+
+    await recordAudit(req, {
+      action: "department.delete",
+      targetType: "department",
+      targetId: dept.code,
+      before: dept,
     });
 
+    res.json({ success: true });
   } catch (err) {
-    console.log(err);
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ DEPARTMENT DELETE ERROR:", err);
+    res.status(500).json({ error: "Failed to delete department" });
   }
 });
 
 
+/* ===========================
+   DEPARTMENT APPLICATION FORMS
+   =========================== */
 
-app.delete("/users/:id", async (req, res) => {
+/* Current form for applicants */
+app.get("/departments/:code/form", validate(schemas.departmentByCode), async (req, res) => {
   try {
-    const id = req.params.id;
+    const dept = findDepartment(req.params.code);
+    if (!dept) return res.status(404).json({ error: "Department not found" });
 
-    const u = await Users.deleteOne({ id });
-    await Applications.deleteMany({ id });
+    const form = await getForm(dept.code, dept.formVersion);
+    if (!form) return res.status(404).json({ error: "Department has no application form" });
 
-    if (!u.deletedCount) return res.status(404).json({ error: "Not found" });
-
-    res.json({ success: true });
+    res.json({ ...form, open: !!dept.open, departmentName: dept.name });
   } catch (err) {
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ FORM FETCH ERROR:", err);
+    res.status(500).json({ error: "Failed to load application form" });
   }
 });
 
-app.get("/users", async (req, res) => {
+/* Version history (department heads / HA) */
+app.get("/departments/:code/forms", requireAuth, validate(schemas.departmentByCode), async (req, res) => {
   try {
-    res.json(await Users.find({}).toArray());
+    const dept = findDepartment(req.params.code);
+    if (!dept) return res.status(404).json({ error: "Department not found" });
+    if (!canManageDepartment(req.user, dept))
+      return res.status(403).json({ error: "Department heads only" });
+
+    const forms = await ApplicationForms.find(
+      { department: dept.code },
+      { projection: { _id: 0 } }
+    )
+      .sort({ version: -1 })
+      .toArray();
+
+    res.json(forms);
   } catch (err) {
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ FORM HISTORY ERROR:", err);
+    res.status(500).json({ error: "Failed to load form history" });
   }
 });
 
-/* ===========================
-   USER RESTRICT / UNRESTRICT (STAFF ONLY)
-   =========================== */
-
-app.patch("/users/:id/restrict", async (req, res) => {
+/* One specific version — what an older application was answered against */
+app.get("/departments/:code/forms/:version", requireAuth, validate(schemas.departmentFormVersion), async (req, res) => {
   try {
-    const { userId, restricted } = req.body;
+    const dept = findDepartment(req.params.code);
+    if (!dept) return res.status(404).json({ error: "Department not found" });
+    if (!canManageDepartment(req.user, dept) && !hasPermission(req.user, "applications.view"))
+      return res.status(403).json({ error: "Missing permission" });
 
-    // Validate staff performing the action
-    const staff = await Users.findOne({ id: userId });
-    if (!staff || !isStaff(staff)) {
-      return res.status(403).json({ error: "Staff only" });
-    }
+    const form = await getForm(dept.code, req.params.version);
+    if (!form) return res.status(404).json({ error: "Form version not found" });
 
-    const result = await Users.updateOne(
-      { id: req.params.id },
-      { $set: { restricted: !!restricted } }
-    );
+    res.json(form);
+  } catch (err) {
+    console.error("❌ FORM VERSION ERROR:", err);
+    res.status(500).json({ error: "Failed to load form version" });
+  }
+});
 
-    if (!result.matchedCount) {
-      return res.status(404).json({ error: "User not found" });
+/* Publish a new form version */
+app.post("/departments/:code/form", requireAuth, validate(schemas.saveDepartmentForm), async (req, res) => {
+  try {
+    const dept = findDepartment(req.params.code);
+    if (!dept) return res.status(404).json({ error: "Department not found" });
+    if (!canManageDepartment(req.user, dept))
+      return res.status(403).json({ error: "Department heads only" });
+
+    const { fields } = req.body;
+    const problems = checkFormDefinition(fields);
+    if (problems.length)
+      return res.status(400).json({ error: "Invalid application form", problems });
+
+    const previous = await getForm(dept.code, dept.formVersion);
+    const created = await createFormVersion(dept.code, fields, req.user.id);
+    if (created.error) {
+      const { status, ...body } = created;
+      return res.status(status).json(body);
     }
-
-    res.json({
-      success: true,
-      message: `User ${restricted ? "restricted" : "unrestricted"}`,
+    const { form } = created;
+    await loadDepartments();
+
+    await recordAudit(req, {
+      action: "department.form",
+      targetType: "department",
+      targetId: dept.code,
+      before: previous && { version: previous.version, fields: previous.fields },
+      after: { version: form.version, fields: form.fields },
     });
+
+    res.status(201).json(form);
   } catch (err) {
-    console.error("❌ Restrict Error:", err);
-    res.status(500).json({ error: "Failed to update restriction" });
+    console.error("❌ FORM SAVE ERROR:", err);
+    res.status(500).json({ error: "Failed to save application form" });
   }
 });
 
 
 /* ===========================
-   FORUM
+   DEPARTMENT APPLICATION PIPELINES
    =========================== */
 
-app.post("/threads", async (req, res) => {
+/* Replace a department's allowed stage transitions */
+app.put("/departments/:code/pipeline", requireAuth, validate(schemas.departmentPipeline), async (req, res) => {
   try {
-    const { title, body, category, userId } = req.body;
-
-    if (!title || title.length < 4)
-      return res.status(400).json({ error: "Title short" });
-    if (!body || body.length < 10)
-      return res.status(400).json({ error: "Body short" });
-
-    const user = await Users.findOne({ id: userId });
-    if (!user) return res.status(401).json({ error: "Not logged in" });
-
-    if (!(await userHasDepartment(user.email)) && !isStaff(user))
-      return res.status(403).json({
-        error:
-          "You must be staff or accepted into a department to create threads",
+    const dept = findDepartment(req.params.code);
+    if (!dept) return res.status(404).json({ error: "Department not found" });
+    if (!canManageDepartment(req.user, dept))
+      return res.status(403).json({ error: "Department heads only" });
+
+    const { transitions } = req.body;
+    const problems = checkPipeline(transitions);
+    if (problems.length)
+      return res.status(400).json({ error: "Invalid pipeline", problems });
+
+    // Don't strand open applications in a stage the new pipeline can't leave
+    const deadEnds = STAGES.filter((s) => !isFinalStage(s) && !transitions[s]?.length);
+    const stranded = await Applications.countDocuments(live({
+      department: dept.code,
+      status: "pending",
+      stage: { $in: deadEnds },
+    }));
+    if (stranded)
+      return res.status(409).json({
+        error: `${stranded} pending applications sit in a stage this pipeline can't leave`,
       });
 
-    const t = {
-      id: crypto.randomUUID(),
-      title,
-      body,
-      category: category || "general",
-      authorId: user.id,
-      createdAt: new Date().toISOString(),
-      replies: 0,
-    };
+    await Departments.updateOne(
+      { code: dept.code },
+      { $set: { pipeline: transitions, updatedAt: new Date() } }
+    );
+    await loadDepartments();
+
+    await recordAudit(req, {
+      action: "department.pipeline",
+      targetType: "department",
+      targetId: dept.code,
+      before: { pipeline: transitionsFor(dept) },
+      after: { pipeline: transitions },
+    });
 
-    await Threads.insertOne(t);
-    res.json({ success: true, thread: t });
+    res.json({ code: dept.code, pipeline: transitions });
   } catch (err) {
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ PIPELINE SAVE ERROR:", err);
+    res.status(500).json({ error: "Failed to save pipeline" });
   }
 });
 
-app.get("/threads/:category", async (req, res) => {
-  try {
-    const threads = await Threads.find({
-      category: req.params.category,
-    })
-      .sort({ createdAt: -1 })
-      .toArray();
 
-    const ids = threads.map((x) => x.authorId);
-    const authors = await Users.find({ id: { $in: ids } }).toArray();
-    const map = new Map(authors.map((u) => [u.id, u]));
+/* ===========================
+   DEPARTMENT APPEALS
+   Appeals against application denials go to the department's heads
+   =========================== */
 
-    res.json(
-      threads.map((t) => {
-        const u = map.get(t.authorId);
-        return {
-          ...t,
-          author: u
-            ? {
-                id: u.id,
-                username: u.username,
-                role: u.role,
-                staffTag: u.staffTag || null,
-                staffIcon: u.staffIcon || null,
-              }
-            : null,
-        };
-      })
-    );
+app.get("/departments/:code/appeals", requireAuth, validate(schemas.departmentAppeals), async (req, res) => {
+  try {
+    const dept = findDepartment(req.params.code);
+    if (!dept) return res.status(404).json({ error: "Department not found" });
+    if (!canManageDepartment(req.user, dept))
+      return res.status(403).json({ error: "Department heads only" });
+
+    const page = await paginate(Appeals, {
+      filter: appealFilter(req.query, { type: "application", department: dept.code }),
+      projection: { _id: 0, messages: 0 },
+      ...pageOptions(req.query),
+    });
+    sendPage(res, page);
   } catch (err) {
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ DEPARTMENT APPEALS ERROR:", err);
+    res.status(500).json({ error: "Failed to fetch appeals" });
   }
 });
 
-app.get("/thread/:id", async (req, res) => {
+app.post("/departments/:code/appeals/:id/decision", requireAuth, validate(schemas.departmentAppealDecision), async (req, res) => {
   try {
-    const thread = await Threads.findOne({ id: req.params.id });
-    if (!thread) return res.status(404).json({ error: "Not found" });
+    const dept = findDepartment(req.params.code);
+    if (!dept) return res.status(404).json({ error: "Department not found" });
 
-    const replies = await Replies.find({ threadId: req.params.id })
-      .sort({ createdAt: 1 })
-      .toArray();
+    const appeal = await Appeals.findOne({ id: req.params.id, type: "application", department: dept.code });
+    if (!appeal) return res.status(404).json({ error: "Appeal not found" });
 
-    const ids = [thread.authorId, ...replies.map((r) => r.authorId)];
-    const authors = await Users.find({ id: { $in: ids } }).toArray();
-    const map = new Map(authors.map((u) => [u.id, u]));
+    const result = await decideAppeal(req, appeal, {
+      status: req.body.status,
+      reason: req.body.reason || null,
+    });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
 
-    const t = {
-      ...thread,
-      author: (() => {
-        const u = map.get(thread.authorId);
-        return u
-          ? {
-              id: u.id,
-              username: u.username,
-              role: u.role,
-              staffTag: u.staffTag || null,
-              staffIcon: u.staffIcon || null,
-            }
-          : null;
-      })(),
-    };
+    res.json({ success: true, outcome: result.appeal.outcome });
+  } catch (err) {
+    console.error("❌ DEPARTMENT APPEAL DECISION ERROR:", err);
+    res.status(500).json({ error: "Failed to update appeal status" });
+  }
+});
 
-    res.json({
-      thread: t,
-      replies: replies.map((r) => {
-        const u = map.get(r.authorId);
-        return {
-          ...r,
-          author: u
-            ? {
-                id: u.id,
-                username: u.username,
-                role: u.role,
-                staffTag: u.staffTag || null,
-                staffIcon: u.staffIcon || null,
-              }
-            : null,
-        };
+
+/* ===========================
+   NOTIFICATIONS
+   =========================== */
+
+/* The caller's inbox, newest first (?unread=true for unread only) */
+app.get("/notifications", requireAuth, validate(schemas.notificationList), async (req, res) => {
+  try {
+    const filter = { userId: req.user.id };
+    if (req.query.unread) filter.readAt = null;
+
+    const [page, unread] = await Promise.all([
+      paginate(Notifications, {
+        filter,
+        projection: { _id: 0, userId: 0 },
+        ...pageOptions(req.query),
       }),
+      Notifications.countDocuments({ userId: req.user.id, readAt: null }),
+    ]);
+    if (page.error) return sendPage(res, page);
+
+    sendPage(res, {
+      ...page,
+      unread,
+      items: page.items.map((n) => ({ ...n, label: NOTIFICATION_TYPES[n.type] || n.type })),
     });
   } catch (err) {
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ NOTIFICATIONS ERROR:", err);
+    res.status(500).json({ error: "Failed to load notifications" });
   }
 });
 
-app.post("/thread/:id/reply", async (req, res) => {
+app.post("/notifications/:id/read", requireAuth, validate(schemas.notificationById), async (req, res) => {
   try {
-    const { userId, body } = req.body;
-    if (!body || body.length < 2)
-      return res.status(400).json({ error: "Short" });
-
-    const user = await Users.findOne({ id: userId });
-    if (!user) return res.status(401).json({ error: "Not logged in" });
-
-    if (!(await userHasDepartment(user.email)))
-      return res.status(403).json({ error: "Must be in dept" });
-
-    const r = {
-      id: crypto.randomUUID(),
-      threadId: req.params.id,
-      authorId: user.id,
-      body,
-      createdAt: new Date().toISOString(),
-    };
-
-    await Replies.insertOne(r);
-    await Threads.updateOne({ id: req.params.id }, { $inc: { replies: 1 } });
+    const note = await Notifications.findOneAndUpdate(
+      { id: req.params.id, userId: req.user.id },
+      { $set: { readAt: new Date() } },
+      { returnDocument: "after", projection: { _id: 0, userId: 0 } }
+    );
+    if (!note) return res.status(404).json({ error: "Notification not found" });
 
-    res.json({ success: true, reply: r });
+    res.json({ success: true, notification: note });
   } catch (err) {
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ NOTIFICATION READ ERROR:", err);
+    res.status(500).json({ error: "Failed to update notification" });
   }
 });
 
-app.delete("/thread/:id", async (req, res) => {
+app.post("/notifications/read-all", requireAuth, async (req, res) => {
   try {
-    const user = await Users.findOne({ id: req.body.userId });
-    if (!user || !isStaff(user))
-      return res.status(403).json({ error: "Staff only" });
-
-    await Replies.deleteMany({ threadId: req.params.id });
-    const r = await Threads.deleteOne({ id: req.params.id });
-
-    if (!r.deletedCount) return res.status(404).json({ error: "Not found" });
-
-    res.json({ success: true });
+    const r = await Notifications.updateMany(
+      { userId: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ success: true, read: r.modifiedCount });
   } catch (err) {
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ NOTIFICATION READ ERROR:", err);
+    res.status(500).json({ error: "Failed to update notifications" });
   }
 });
 
-app.delete("/reply/:id", async (req, res) => {
+
+/* ===========================
+   SEARCH
+   =========================== */
+
+/*
+ * Text search over threads, replies, users and (staff only) applications.
+ * Without ?type= every type the caller may search returns its first page;
+ * following nextCursor needs the type it came from.
+ */
+app.get("/search", optionalAuth, rateLimits.search, validate(schemas.search), async (req, res) => {
   try {
-    const user = await Users.findOne({ id: req.body.userId });
-    if (!user || !isStaff(user))
-      return res.status(403).json({ error: "Staff only" });
+    const { q, type, limit, cursor } = req.query;
+    if (cursor && !type)
+      return sendValidationError(res, {
+        "query.type": { code: "required", message: "A type is required to page through results" },
+      });
 
-    const reply = await Replies.findOne({ id: req.params.id });
-    if (!reply) return res.status(404).json({ error: "Not found" });
+    const allowed = Object.keys(SEARCH_TYPES).filter((key) => {
+      const { permission } = SEARCH_TYPES[key];
+      return !permission || hasPermission(req.user, permission);
+    });
+    if (type && !allowed.includes(type))
+      return res.status(403).json({ error: "You don't have permission to search this" });
+
+    const viewer = await forumViewer(req.user);
+    const ctx = {
+      terms: searchTerms(q),
+      categories: [...categoryIndex.values()]
+        .filter((c) => canInCategory(viewer, c, "read"))
+        .map((c) => c.slug),
+      staff: hasPermission(req.user, "users.view"),
+    };
 
-    await Replies.deleteOne({ id: req.params.id });
-    await Threads.updateOne(
-      { id: reply.threadId },
-      { $inc: { replies: -1 } }
-    );
+    const results = {};
+    for (const key of type ? [type] : allowed) {
+      const page = await searchPage(key, q, ctx, { limit, cursor });
+      if (page.error) return sendPage(res, page);
+      results[key] = page;
+    }
 
-    res.json({ success: true });
+    res.json({ q, results });
   } catch (err) {
-    res.status(500).json({ error: "Failed" });
+    console.error("❌ SEARCH ERROR:", err);
+    res.status(500).json({ error: "Search failed" });
   }
 });
 
+
 /// GALLERY
 /* ============================================================
    GALLERY SYSTEM — Shore Roleplay
-   Normalized departments, staff bypass, universal posting
+   Departments resolved through the registry, staff bypass
 ============================================================ */
 
-/// VALID DEPARTMENT NAMES → DATABASE CODES
-const VALID_DEPARTMENTS = {
-  "Police Department": "pd",
-  "PD": "pd",
-  "Police": "pd",
-
-  "Sheriff's Office": "sd",
-  "Sheriff": "sd",
-  "SO": "sd",
-
-  "State Patrol": "sp",
-  "State Police": "sp",
-  "SP": "sp",
-
-  "Fire & Rescue": "fire",
-  "Fire Department": "fire",
-  "FIRE": "fire",
-
-  "EMS": "ems",
-
-  "Civilian Media": "civ",
-  "Civilian Operations": "civ",
-  "CIV": "civ",
-  "Civilian": "civ"
-};
-
-/// 🔁 Normalize ANY input into standardized code
-function normalizeDept(raw) {
-  if (!raw) return "civ";
-  const key = raw.toString().trim();
-  return (
-    VALID_DEPARTMENTS[key] ||
-    VALID_DEPARTMENTS[key.toUpperCase()] ||
-    key.toLowerCase() ||
-    "civ"
-  );
-}
-
 /* ------------------------------------------------------------
    POST /gallery
    Accepts posting if STAFF or accepted into ANY department
-   Always stores normalized department code
+   Always stores the department code
 ------------------------------------------------------------ */
-app.post("/gallery", async (req, res) => {
+app.post("/gallery", requireAuth, requireUnrestricted("gallery"), validate(schemas.galleryUpload), async (req, res) => {
   try {
-    const { department, imageUrl, caption, author } = req.body;
-
-    if (!department || !imageUrl || !author) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
-
-    const user = await Users.findOne({ username: author });
-    if (!user) return res.status(403).json({ error: "User not found" });
-
-    // Staff whitelist
-    const STAFF_ROLES = [
-      "Head Administrator",
-      "Internal Affairs",
-      "Administration",
-      "Junior Administration",
-      "Senior Staff",
-      "Staff",
-      "Staff In Training"
-    ];
+    const { department, imageUrl, caption } = req.body;
 
-    const isStaff = STAFF_ROLES.includes(user.role);
+    const user = req.user;
 
     // If NOT staff → must have at least 1 accepted application
-    if (!isStaff) {
-      const apps = await Applications.find({
-        email: user.email,
-        status: "accepted"
+    if (!isStaff(user) && !(await userHasDepartment(user.email))) {
+      return res.status(403).json({
+        error: "You must be staff or accepted into ANY department to upload"
       });
-
-      if (!apps.length) {
-        return res.status(403).json({
-          error: "You must be staff or accepted into ANY department to upload"
-        });
-      }
     }
 
-    // Normalize department BEFORE saving
-    const deptCode = normalizeDept(department);
+    const dept = findDepartment(department);
+    if (!dept)
+      return sendValidationError(res, {
+        department: { code: "unknown_department", message: "Unknown department" },
+      });
 
-    const record = await Gallery.create({
-      department: deptCode,
+    const record = {
+      id: crypto.randomUUID(),
+      department: dept.code,
       imageUrl,
       caption: caption || "",
       author: user.username,
+      authorId: user.id,
       createdAt: new Date()
-    });
+    };
+
+    await Gallery.insertOne(record);
 
     res.status(201).json(record);
 
@@ -1242,25 +6270,38 @@ app.post("/gallery", async (req, res) => {
 
 /* ------------------------------------------------------------
    GET /gallery
-   Returns all gallery items with normalized departments,
-   fixing old data automatically so frontend never breaks again.
+   One page of gallery items (?department= / ?authorId= / ?from= / ?to=)
+   with departments resolved to codes (old records not yet migrated
+   still come back normalized).
 ------------------------------------------------------------ */
-app.get("/gallery", async (_, res) => {
+app.get("/gallery", validate(schemas.galleryList), async (req, res) => {
   try {
-    const items = await Gallery.find({})
-      .sort({ createdAt: -1 })
-      .toArray();
+    const filter = {};
+
+    if (req.query.department) {
+      const dept = findDepartment(req.query.department);
+      if (!dept)
+        return sendValidationError(res, {
+          "query.department": { code: "unknown_department", message: "Unknown department" },
+        });
+      // legacy records may still hold the name or an alias
+      filter.department = { $in: [dept.code, dept.name, ...(dept.aliases || [])] };
+    }
+    if (req.query.authorId) filter.authorId = req.query.authorId;
+
+    const page = await paginate(Gallery, {
+      filter: withDateRange(filter, "createdAt", req.query, { dates: true }),
+      projection: GALLERY_PROJECTION,
+      ...pageOptions(req.query),
+    });
+    if (page.error) return sendPage(res, page);
 
-    const normalized = items.map(item => ({
+    const normalized = page.items.map(item => ({
       ...item,
-      department:
-        VALID_DEPARTMENTS[item.department] ||
-        VALID_DEPARTMENTS[item.department?.toUpperCase()] ||
-        item.department?.toLowerCase() ||
-        "civ" // fallback
+      department: departmentCode(item.department)
     }));
 
-    return res.json(normalized);
+    return sendPage(res, { ...page, items: normalized });
 
   } catch (err) {
     console.error("❌ GALLERY FETCH ERROR:", err);
@@ -1275,6 +6316,8 @@ app.get("/gallery", async (_, res) => {
    START SERVER
    =========================== */
 
+app.use(jsonErrorHandler);
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`🚀 Backend running on ${PORT}`));
 
@@ -0,0 +1,53 @@
+/* ============================================================
+   Shore Roleplay — Soft Deletion & Trash
+   Deleting a thread, reply, application or user only stamps it
+   (deletedAt / deletedBy / deleteReason). Stamped documents are
+   hidden everywhere except the staff trash view, where they can
+   be restored until the purge job removes them for good after
+   the retention period.
+   ============================================================ */
+
+/// TRASH TYPE → WHO MAY SEE AND RESTORE IT
+const TRASH_TYPES = {
+  thread: { label: "Forum thread", permission: "forum.moderate" },
+  reply: { label: "Forum reply", permission: "forum.moderate" },
+  application: { label: "Application", permission: "applications.delete" },
+  user: { label: "User account", permission: "users.delete" },
+};
+
+const DEFAULT_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const MAX_RETENTION_DAYS = 365;
+
+/* `filter` limited to documents that aren't in the trash */
+function live(filter = {}) {
+  return { ...filter, deletedAt: null };
+}
+
+/* Fields that put a document in the trash */
+function deletionStamp(user, reason = null) {
+  return {
+    deletedAt: new Date(),
+    deletedBy: user ? { id: user.id, username: user.username } : null,
+    deleteReason: reason,
+  };
+}
+
+/* Fields that take it out again ($set — deletedAt: null keeps live() working) */
+function restoreStamp() {
+  return { deletedAt: null, deletedBy: null, deleteReason: null, deletedWith: null };
+}
+
+/* Trash older than this is purged */
+function purgeCutoff(retentionDays, now = new Date()) {
+  return new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  TRASH_TYPES,
+  DEFAULT_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  live,
+  deletionStamp,
+  restoreStamp,
+  purgeCutoff,
+};
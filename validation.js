@@ -0,0 +1,266 @@
+/* ============================================================
+   Shore Roleplay — Request Validation
+   Declarative schemas checked before a handler runs.
+   Unknown fields are stripped; failures use one error envelope:
+
+   {
+     success: false,
+     error: "Validation failed",
+     code: "VALIDATION_ERROR",
+     fields: { "<field>": { code: "too_short", message: "..." } }
+   }
+   ============================================================ */
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/* ---------- field builders ---------- */
+
+const t = {
+  string: (opts = {}) => ({ type: "string", trim: true, ...opts }),
+  email: (opts = {}) => ({
+    type: "string",
+    trim: true,
+    max: 254,
+    pattern: EMAIL_RE,
+    patternMessage: "Must be a valid email address",
+    ...opts,
+  }),
+  url: (opts = {}) => ({ type: "url", max: 2048, ...opts }),
+  number: (opts = {}) => ({ type: "number", ...opts }),
+  integer: (opts = {}) => ({ type: "number", integer: true, ...opts }),
+  boolean: (opts = {}) => ({ type: "boolean", ...opts }),
+  date: (opts = {}) => ({ type: "date", ...opts }),
+  enum: (values, opts = {}) => ({ type: "enum", values, ...opts }),
+  array: (items, opts = {}) => ({ type: "array", items, ...opts }),
+  object: (shape, opts = {}) => ({ type: "object", shape, ...opts }),
+  any: (opts = {}) => ({ type: "any", ...opts }),
+};
+
+function fail(code, message) {
+  return { error: { code, message } };
+}
+
+/* ---------- single value checks ---------- */
+
+function checkValue(schema, raw, path) {
+  if (raw === "" && schema.allowEmpty) return { value: "" };
+
+  if (raw === undefined || raw === null || raw === "") {
+    if (schema.default !== undefined) {
+      return { value: typeof schema.default === "function" ? schema.default() : schema.default };
+    }
+    if (schema.optional) return { value: undefined };
+    return fail("required", "This field is required");
+  }
+
+  switch (schema.type) {
+    case "string": {
+      if (typeof raw !== "string") return fail("invalid_type", "Must be text");
+      let value = schema.trim ? raw.trim() : raw;
+      if (schema.lowercase) value = value.toLowerCase();
+
+      if (!value.length && !schema.optional) return fail("required", "This field is required");
+      if (schema.min !== undefined && value.length < schema.min)
+        return fail("too_short", `Must be at least ${schema.min} characters`);
+      if (schema.max !== undefined && value.length > schema.max)
+        return fail("too_long", `Must be at most ${schema.max} characters`);
+      if (schema.pattern && !schema.pattern.test(value))
+        return fail("invalid_format", schema.patternMessage || "Invalid format");
+
+      return { value };
+    }
+
+    case "url": {
+      if (typeof raw !== "string") return fail("invalid_type", "Must be a URL");
+      const value = raw.trim();
+      if (value.length > schema.max)
+        return fail("too_long", `Must be at most ${schema.max} characters`);
+      try {
+        const parsed = new URL(value);
+        if (!["http:", "https:"].includes(parsed.protocol)) throw new Error();
+      } catch {
+        return fail("invalid_format", "Must be an http(s) URL");
+      }
+      return { value };
+    }
+
+    case "number": {
+      // Query strings and params arrive as text
+      const value = typeof raw === "string" ? Number(raw) : raw;
+      if (typeof value !== "number" || !Number.isFinite(value))
+        return fail("invalid_type", "Must be a number");
+      if (schema.integer && !Number.isInteger(value))
+        return fail("invalid_type", "Must be a whole number");
+      if (schema.min !== undefined && value < schema.min)
+        return fail("too_small", `Must be at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max)
+        return fail("too_large", `Must be at most ${schema.max}`);
+      return { value };
+    }
+
+    case "boolean": {
+      if (raw === true || raw === "true") return { value: true };
+      if (raw === false || raw === "false") return { value: false };
+      return fail("invalid_type", "Must be true or false");
+    }
+
+    case "date": {
+      const value = new Date(raw);
+      if (typeof raw === "boolean" || isNaN(value))
+        return fail("invalid_type", "Must be a valid date");
+      return { value };
+    }
+
+    case "enum": {
+      if (!schema.values.includes(raw))
+        return fail("invalid_choice", `Must be one of: ${schema.values.join(", ")}`);
+      return { value: raw };
+    }
+
+    case "array": {
+      if (!Array.isArray(raw)) return fail("invalid_type", "Must be a list");
+      if (schema.min !== undefined && raw.length < schema.min)
+        return fail("too_short", `Must contain at least ${schema.min} items`);
+      if (schema.max !== undefined && raw.length > schema.max)
+        return fail("too_long", `Must contain at most ${schema.max} items`);
+
+      const value = [];
+      const errors = {};
+      raw.forEach((item, i) => {
+        const r = checkValue(schema.items, item, `${path}[${i}]`);
+        if (r.error) errors[`${path}[${i}]`] = r.error;
+        else if (r.errors) Object.assign(errors, r.errors);
+        else value.push(r.value);
+      });
+      return Object.keys(errors).length ? { errors } : { value };
+    }
+
+    case "object": {
+      if (typeof raw !== "object" || Array.isArray(raw))
+        return fail("invalid_type", "Must be an object");
+      return checkShape(schema.shape, raw, `${path}.`);
+    }
+
+    case "any":
+      return { value: raw };
+
+    default:
+      throw new Error(`Unknown schema type "${schema.type}" at ${path}`);
+  }
+}
+
+/* Validate every declared field of an object; undeclared fields are dropped */
+function checkShape(shape, input, prefix = "") {
+  const source = input && typeof input === "object" ? input : {};
+  const value = {};
+  const errors = {};
+
+  for (const [key, schema] of Object.entries(shape)) {
+    const path = `${prefix}${key}`;
+    const r = checkValue(schema, source[key], path);
+
+    if (r.error) errors[path] = r.error;
+    else if (r.errors) Object.assign(errors, r.errors);
+    else if (r.value !== undefined) value[key] = r.value;
+  }
+
+  return Object.keys(errors).length ? { errors } : { value };
+}
+
+/* ---------- error envelope ---------- */
+
+function sendValidationError(res, fields) {
+  return res.status(400).json({
+    success: false,
+    error: "Validation failed",
+    code: "VALIDATION_ERROR",
+    fields,
+  });
+}
+
+/// HTTP STATUS → DEFAULT MACHINE-READABLE CODE
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  423: "LOCKED",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+};
+
+/*
+ * Normalizes every JSON error response (status >= 400) into
+ * { success: false, error: "<message>", code: "<CODE>", ...extra }
+ * so handlers can keep doing res.status(404).json({ error: "Not found" }).
+ */
+function errorEnvelope() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body)) {
+        const { message, ...rest } = body;
+        body = {
+          ...rest,
+          success: false,
+          error: typeof body.error === "string" ? body.error : message || "Request failed",
+          code: body.code || ERROR_CODES[res.statusCode] || "ERROR",
+        };
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+/* Final error handler — malformed / oversized JSON bodies */
+function jsonErrorHandler(err, req, res, next) {
+  if (err.type === "entity.parse.failed")
+    return res.status(400).json({ error: "Malformed JSON body", code: "INVALID_JSON" });
+  if (err.type === "entity.too.large")
+    return res.status(413).json({ error: "Request body too large" });
+
+  console.error("❌ UNHANDLED ERROR:", err);
+  res.status(500).json({ error: "Internal server error" });
+}
+
+/**
+ * Route middleware.
+ *   validate({ body: {...}, params: {...}, query: {...} })
+ * Each part is a shape of field schemas built with `t`.
+ * The cleaned values replace req.body / req.params / req.query.
+ */
+function validate(parts) {
+  return (req, res, next) => {
+    const fields = {};
+
+    for (const part of ["params", "query", "body"]) {
+      if (!parts[part]) continue;
+
+      const r = checkShape(parts[part], req[part]);
+      if (r.errors) {
+        for (const [path, err] of Object.entries(r.errors)) {
+          fields[part === "body" ? path : `${part}.${path}`] = err;
+        }
+      } else {
+        req[part] = r.value;
+      }
+    }
+
+    if (Object.keys(fields).length) return sendValidationError(res, fields);
+    next();
+  };
+}
+
+module.exports = {
+  t,
+  validate,
+  checkShape,
+  sendValidationError,
+  errorEnvelope,
+  jsonErrorHandler,
+};